@@ -1,4 +1,8 @@
 import { defineConfig } from 'vitepress'
+import { llmApi } from '../../scripts/vitepress.js'
+
+// Generates /api, /llms.txt and /llms-full.txt into the build output
+const api = llmApi()
 
 // https://vitepress.dev/reference/site-config
 export default defineConfig({
@@ -99,7 +103,7 @@ export default defineConfig({
           { text: 'useDerive', link: '/use-derive' },
           { text: 'useComputed', link: '/use-computed' },
           { text: 'useAysncChunk', link: '/use-aysnc-chunk' },
-          { text: 'useInfiniteChunk', link: '/use-inifinite-async-chunk' },
+          { text: 'useInfiniteChunk', link: '/use-infinite-async-chunk' },
           { text: 'State Selections - Readonly', link: '/read-only-values' },
         ],
         collapsed: true
@@ -115,5 +119,7 @@ export default defineConfig({
       light: 'one-light',
       dark: 'plastic'
     }
-  }
+  },
+  transformPageData: api.transformPageData,
+  buildEnd: api.buildEnd
 })
@@ -2,9 +2,44 @@ import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import matter from 'gray-matter';
+import { toString } from 'mdast-util-to-string';
+import { visit } from 'unist-util-visit';
+import {
+  parseMarkdownTree,
+  proseText,
+  inlineText,
+  collectCode,
+  collectLists,
+  collectLinks,
+  collectDefinitions,
+  collectTables,
+  collectAdmonitions,
+  collectEmbeds,
+  headingSlugs,
+  splitAtHeadings
+} from './markdown.js';
+import { linkToSlug, loadSiteConfig, pagePath } from './site.js';
+import { buildRetrievalChunks } from './chunks.js';
+import { loadBuildCache, saveBuildCache, hashContent, writeIfChanged } from './build-cache.js';
+import { buildSearchIndex } from './search-index.js';
+import { buildSymbolTable } from './symbols.js';
+import { buildCrossReference } from './xref.js';
+import { buildCoverageReport } from './coverage.js';
+import { buildNavigation, sidebarCategories } from './navigation.js';
+import { historyFields, readGitHistory } from './history.js';
+import { API_SCHEMAS, buildSchemas, schemaFileName, schemaUrl, validateOutputs } from './schemas.js';
+import { schemasToTypeScript } from './schema-types.js';
+import { buildOpenApiDocument } from './openapi.js';
+import { DEFAULT_CONFIG, isExcludedDir, isIncluded, loadConfig, resolveConfig } from './config.js';
+import { validateFrontmatter } from './frontmatter.js';
+import { orderDocsForLLMs, generateLLMsTxt, generateLLMsFullTxt } from './llms-txt.js';
+import { compareStrings } from './util.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
+// Aggregate outputs written next to the per-doc files
+const RESERVED_FILE_NAMES = new Set(['index', 'search', 'symbols', 'xref', 'categories', 'routes', 'metadata', 'coverage', 'recently-updated', 'openapi']);
+
 // ==========================================
 // LLM-OPTIMIZED PARSING
 // ==========================================
@@ -16,8 +51,14 @@ const __dirname = path.dirname(fileURLToPath(import.meta.url));
  * - Easy navigation
  * - Context-rich metadata
  * - Searchable content sections
+ *
+ * `overrides` lets a host that already resolved the page (the VitePress
+ * integration) supply its `title` and the `headingIds` of every heading, in
+ * document order.
+ * `options` sets summaryLength, keywordLimit and wordsPerMinute (see config.js).
  */
-export function parseMarkdownForLLM(filePath, relativePath) {
+export function parseMarkdownForLLM(filePath, relativePath, overrides = {}, options = {}) {
+  const { summaryLength, keywordLimit, wordsPerMinute } = { ...DEFAULT_CONFIG, ...options };
   const content = fs.readFileSync(filePath, 'utf-8');
   const { data: frontmatter, content: markdown } = matter(content);
   
@@ -28,26 +69,37 @@ export function parseMarkdownForLLM(filePath, relativePath) {
   
   const stat = fs.statSync(filePath);
   
+  // Parse once; every field below is derived from the same tree
+  const tree = parseMarkdownTree(markdown);
+  const definitions = collectDefinitions(tree);
+  const prose = proseText(tree.children);
+  
   // Extract structured headings with content
-  const sections = extractSections(markdown);
+  const sections = extractSections(tree, markdown, definitions, {
+    pathname: pagePath(slug),
+    headingIds: overrides.headingIds
+  });
   
   // Extract all code blocks
-  const codeBlocks = extractCodeBlocks(markdown);
+  const codeBlocks = extractCodeBlocks(tree);
   
   // Generate summary from first paragraph
-  const summary = generateSummary(markdown);
+  const summary = generateSummary(tree, summaryLength);
   
-  // Extract keywords and tags
-  const keywords = extractKeywords(markdown, frontmatter);
+  // Extract keywords and tags (a lone `tags: foo` counts as one tag)
+  const tags = [frontmatter.tags || []].flat().map(String);
+  const keywords = extractKeywords(tree, prose, tags, keywordLimit);
   
   // Build table of contents
   const tableOfContents = buildTableOfContents(sections);
   
+  const wordCount = countWords(prose);
+  
   return {
     // Basic metadata
     slug,
     path: relativePath,
-    title: frontmatter.title || sections[0]?.heading || slug,
+    title: overrides.title || frontmatter.title || sections.find(section => section.heading)?.heading || slug,
     
     // LLM-friendly description
     description: frontmatter.description || summary,
@@ -57,7 +109,7 @@ export function parseMarkdownForLLM(filePath, relativePath) {
     
     // Searchable keywords
     keywords,
-    tags: frontmatter.tags || [],
+    tags,
     category: frontmatter.category || extractCategory(slug),
     
     // Structured content for easy parsing
@@ -66,6 +118,11 @@ export function parseMarkdownForLLM(filePath, relativePath) {
     // Code examples extracted separately
     codeExamples: codeBlocks,
     
+    // Typed blocks: GFM tables, VitePress containers, HTML embeds
+    tables: collectTables(tree),
+    admonitions: collectAdmonitions(tree),
+    embeds: collectEmbeds(tree),
+    
     // Table of contents for navigation
     tableOfContents,
     
@@ -75,183 +132,156 @@ export function parseMarkdownForLLM(filePath, relativePath) {
     // Metadata
     frontmatter,
     lastModified: stat.mtime.toISOString(),
-    wordCount: countWords(markdown),
-    estimatedReadingTime: Math.ceil(countWords(markdown) / 200), // minutes
+    wordCount,
+    estimatedReadingTime: Math.ceil(wordCount / wordsPerMinute), // minutes
     
     // LLM context hints
-    contentType: determineContentType(markdown, frontmatter),
-    complexity: estimateComplexity(markdown, codeBlocks),
+    contentType: frontmatter.contentType || determineContentType(markdown),
+    complexity: frontmatter.complexity || estimateComplexity(markdown, codeBlocks, wordCount),
   };
 }
 
 /**
  * Extract sections with their content
  * Returns hierarchical structure for easy navigation
+ * Ids are the page's heading anchors, so `url` deep-links to the section.
+ * Headings inside containers start sections too; text before the first
+ * heading becomes a level-0 intro section with an empty heading, the page
+ * URL and the id `intro` (`intro-1`, ... when a heading already takes it).
  */
-function extractSections(markdown) {
-  const lines = markdown.split('\n');
+function extractSections(tree, markdown, definitions, { pathname, headingIds = [] }) {
+  const slugs = headingSlugs(tree);
+  const headingIndex = new Map([...slugs.keys()].map((node, i) => [node, i]));
   const sections = [];
   let currentSection = null;
-  let currentContent = [];
-  
-  for (let i = 0; i < lines.length; i++) {
-    const line = lines[i];
-    const headingMatch = line.match(/^(#{1,6})\s+(.+)$/);
-    
-    if (headingMatch) {
-      // Save previous section
-      if (currentSection) {
-        currentSection.content = currentContent.join('\n').trim();
-        currentSection.contentPlain = stripMarkdown(currentSection.content);
-        sections.push(currentSection);
-      }
-      
-      // Start new section
-      const level = headingMatch[1].length;
-      const heading = headingMatch[2];
-      const id = heading
-        .toLowerCase()
-        .replace(/[^\w\s-]/g, '')
-        .replace(/\s+/g, '-');
-      
-      currentSection = {
-        id,
-        level,
-        heading,
-        content: '',
-        contentPlain: '',
-        lineNumber: i + 1,
-        codeBlocks: [],
-        lists: [],
-        links: []
-      };
-      currentContent = [];
-    } else if (currentSection) {
-      currentContent.push(line);
-      
-      // Extract code blocks within this section
-      if (line.startsWith('```')) {
-        const codeBlock = extractCodeBlockFromLine(lines, i);
-        if (codeBlock) {
-          currentSection.codeBlocks.push(codeBlock);
-        }
-      }
-      
-      // Extract lists
-      if (line.match(/^[\s]*[-*+]\s+/) || line.match(/^[\s]*\d+\.\s+/)) {
-        currentSection.lists.push(line.trim());
-      }
-      
-      // Extract links
-      const linkMatch = line.match(/\[([^\]]+)\]\(([^)]+)\)/g);
-      if (linkMatch) {
-        linkMatch.forEach(link => {
-          const [, text, url] = link.match(/\[([^\]]+)\]\(([^)]+)\)/);
-          currentSection.links.push({ text, url });
-        });
-      }
-    }
-  }
+  let currentNodes = [];
   
-  // Save last section
-  if (currentSection) {
-    currentSection.content = currentContent.join('\n').trim();
-    currentSection.contentPlain = stripMarkdown(currentSection.content);
+  const closeSection = endOffset => {
+    if (!currentSection) return;
+    
+    currentSection.content = markdown.slice(currentSection.contentStart, endOffset).trim();
+    currentSection.contentPlain = proseText(currentNodes);
+    currentSection.codeBlocks = collectCode(currentNodes)
+      .map(({ language, code, lineCount }) => ({ language, code, lineCount }));
+    currentSection.lists = collectLists(currentNodes);
+    currentSection.links = collectLinks(currentNodes, definitions);
+    currentSection.tables = collectTables(currentNodes);
+    currentSection.admonitions = collectAdmonitions(currentNodes);
+    currentSection.embeds = collectEmbeds(currentNodes);
+    delete currentSection.contentStart;
+    
     sections.push(currentSection);
+  };
+  
+  const blocks = splitAtHeadings(tree.children);
+  const headingId = node => headingIds[headingIndex.get(node)] || slugs.get(node);
+  const firstHeading = blocks.findIndex(node => node.type === 'heading');
+  const introNodes = firstHeading === -1 ? blocks : blocks.slice(0, firstHeading);
+  
+  // Intro: anything before the first heading (the page itself is its anchor)
+  if (introNodes.length) {
+    const anchors = new Set(blocks.filter(node => node.type === 'heading').map(headingId));
+    let id = 'intro';
+    for (let n = 1; anchors.has(id); n++) id = `intro-${n}`;
+    
+    currentSection = newSection({
+      id,
+      url: pathname,
+      level: 0,
+      heading: '',
+      lineNumber: introNodes[0].position.start.line,
+      contentStart: introNodes[0].position.start.offset
+    });
   }
   
-  return sections;
-}
-
-/**
- * Extract all code blocks with metadata
- */
-function extractCodeBlocks(markdown) {
-  const codeBlocks = [];
-  const lines = markdown.split('\n');
-  
-  for (let i = 0; i < lines.length; i++) {
-    if (lines[i].startsWith('```')) {
-      const language = lines[i].slice(3).trim() || 'plaintext';
-      const codeLines = [];
-      i++;
-      
-      while (i < lines.length && !lines[i].startsWith('```')) {
-        codeLines.push(lines[i]);
-        i++;
-      }
-      
-      const code = codeLines.join('\n');
-      codeBlocks.push({
-        language,
-        code,
-        lineCount: codeLines.length,
-        // Detect if it's an example, test, or implementation
-        purpose: detectCodePurpose(code, language)
-      });
+  blocks.forEach(node => {
+    if (node.type !== 'heading') {
+      currentNodes.push(node);
+      return;
     }
-  }
+    
+    // Save previous section
+    closeSection(node.position.start.offset);
+    
+    // Start new section
+    const heading = toString(node);
+    const id = headingId(node);
+    
+    currentSection = newSection({
+      id,
+      url: `${pathname}#${id}`,
+      level: node.depth,
+      heading,
+      lineNumber: node.position.start.line,
+      contentStart: node.position.end.offset
+    });
+    currentNodes = [];
+  });
+  
+  // Save last section
+  closeSection(markdown.length);
   
-  return codeBlocks;
+  return sections;
 }
 
-function extractCodeBlockFromLine(lines, startIndex) {
-  if (!lines[startIndex].startsWith('```')) return null;
-  
-  const language = lines[startIndex].slice(3).trim() || 'plaintext';
-  const codeLines = [];
-  let i = startIndex + 1;
-  
-  while (i < lines.length && !lines[i].startsWith('```')) {
-    codeLines.push(lines[i]);
-    i++;
-  }
-  
+function newSection({ id, url, level, heading, lineNumber, contentStart }) {
   return {
-    language,
-    code: codeLines.join('\n'),
-    lineCount: codeLines.length
+    id,
+    url,
+    level,
+    heading,
+    content: '',
+    contentPlain: '',
+    lineNumber,
+    codeBlocks: [],
+    lists: [],
+    links: [],
+    tables: [],
+    admonitions: [],
+    embeds: [],
+    contentStart
   };
 }
 
+/**
+ * Extract all code blocks with metadata
+ */
+function extractCodeBlocks(tree) {
+  return collectCode(tree).map(block => ({
+    ...block,
+    // Detect if it's an example, test, or implementation
+    purpose: detectCodePurpose(block.code, block.language)
+  }));
+}
+
 /**
  * Generate concise summary from content
  */
-function generateSummary(markdown) {
-  // Remove code blocks for summary
-  const withoutCode = markdown.replace(/```[\s\S]*?```/g, '');
-  
+function generateSummary(tree, maxLength) {
   // Get first meaningful paragraph
-  const paragraphs = withoutCode
-    .split('\n\n')
-    .map(p => p.trim())
-    .filter(p => p && !p.startsWith('#'));
+  const firstParagraph = tree.children.find(node => node.type === 'paragraph');
+  const text = firstParagraph ? inlineText(firstParagraph).trim() : '';
   
-  const firstParagraph = paragraphs[0] || '';
-  
-  // Limit to ~200 characters
-  if (firstParagraph.length > 200) {
-    return firstParagraph.substring(0, 197) + '...';
+  // Limit to maxLength characters
+  if (text.length > maxLength) {
+    return text.substring(0, maxLength - 3) + '...';
   }
   
-  return firstParagraph;
+  return text;
 }
 
 /**
  * Extract keywords for search and context
  */
-function extractKeywords(markdown, frontmatter) {
+function extractKeywords(tree, prose, tags, limit) {
   const keywords = new Set();
   
   // Add explicit tags
-  if (frontmatter.tags) {
-    frontmatter.tags.forEach(tag => keywords.add(tag.toLowerCase()));
-  }
+  tags.forEach(tag => keywords.add(tag.toLowerCase()));
   
   // Extract from headings
-  const headings = markdown.match(/^#{1,6}\s+(.+)$/gm) || [];
-  headings.forEach(heading => {
-    const words = heading.replace(/^#+\s+/, '').split(/\s+/);
+  visit(tree, 'heading', heading => {
+    const words = toString(heading).split(/\s+/);
     words.forEach(word => {
       const cleaned = word.toLowerCase().replace(/[^\w]/g, '');
       if (cleaned.length > 3) keywords.add(cleaned);
@@ -259,17 +289,19 @@ function extractKeywords(markdown, frontmatter) {
   });
   
   // Extract technical terms (camelCase, PascalCase, function names)
-  const technicalTerms = markdown.match(/\b[a-z]+[A-Z][a-zA-Z]*\b/g) || [];
+  const technicalTerms = prose.match(/\b[a-z]+[A-Z][a-zA-Z]*\b/g) || [];
   technicalTerms.forEach(term => keywords.add(term));
   
   // Extract function/method names from code
-  const functionNames = markdown.match(/\b(function|const|let|var)\s+(\w+)/g) || [];
-  functionNames.forEach(match => {
-    const name = match.split(/\s+/).pop();
-    keywords.add(name);
+  visit(tree, 'code', node => {
+    const functionNames = node.value.match(/\b(function|const|let|var)\s+(\w+)/g) || [];
+    functionNames.forEach(match => {
+      const name = match.split(/\s+/).pop();
+      keywords.add(name);
+    });
   });
   
-  return Array.from(keywords).slice(0, 20); // Limit to top 20
+  return Array.from(keywords).slice(0, limit);
 }
 
 /**
@@ -279,9 +311,11 @@ function buildTableOfContents(sections) {
   const toc = [];
   const stack = [{ level: 0, children: toc }];
   
-  sections.forEach(section => {
+  // The intro has no anchor of its own
+  sections.filter(section => section.level > 0).forEach(section => {
     const item = {
       id: section.id,
+      url: section.url,
       heading: section.heading,
       level: section.level,
       children: []
@@ -302,14 +336,13 @@ function buildTableOfContents(sections) {
 /**
  * Determine content type for LLM context
  */
-function determineContentType(markdown, frontmatter) {
+function determineContentType(markdown) {
   const content = markdown.toLowerCase();
   
   if (content.includes('api') || content.includes('reference')) return 'api-reference';
   if (content.includes('tutorial') || content.includes('guide')) return 'tutorial';
   if (content.includes('example')) return 'example';
   if (content.includes('installation') || content.includes('setup')) return 'setup-guide';
-  if (frontmatter.category) return frontmatter.category;
   
   return 'documentation';
 }
@@ -317,7 +350,7 @@ function determineContentType(markdown, frontmatter) {
 /**
  * Estimate content complexity for LLM
  */
-function estimateComplexity(markdown, codeBlocks) {
+function estimateComplexity(markdown, codeBlocks, wordCount) {
   let score = 0;
   
   // More code = higher complexity
@@ -328,7 +361,6 @@ function estimateComplexity(markdown, codeBlocks) {
   score += Math.min(technicalTerms.length / 5, 10);
   
   // Long documents = higher complexity
-  const wordCount = countWords(markdown);
   score += Math.min(wordCount / 200, 10);
   
   if (score < 10) return 'beginner';
@@ -337,28 +369,14 @@ function estimateComplexity(markdown, codeBlocks) {
 }
 
 /**
- * Helper: Strip markdown formatting
- */
-function stripMarkdown(text) {
-  return text
-    .replace(/```[\s\S]*?```/g, '') // Remove code blocks
-    .replace(/`([^`]+)`/g, '$1') // Remove inline code
-    .replace(/\[([^\]]+)\]\([^)]+\)/g, '$1') // Remove links
-    .replace(/[*_~]{1,2}([^*_~]+)[*_~]{1,2}/g, '$1') // Remove emphasis
-    .replace(/^#{1,6}\s+/gm, '') // Remove headings
-    .trim();
-}
-
-/**
- * Helper: Count words
+ * Helper: Count words in plain prose
  */
 function countWords(text) {
-  const withoutCode = text.replace(/```[\s\S]*?```/g, '');
-  return withoutCode.split(/\s+/).filter(w => w.length > 0).length;
+  return text.split(/\s+/).filter(w => w.length > 0).length;
 }
 
 /**
- * Helper: Extract category from path
+ * Helper: Extract category from path (pages outside the sidebar)
  */
 function extractCategory(slug) {
   const parts = slug.split('/');
@@ -379,49 +397,197 @@ function detectCodePurpose(code, language) {
 }
 
 /**
- * Helper: Get all markdown files
+ * Helper: Get all markdown files passing the include/exclude globs
  */
-export function getMarkdownFiles(dir, fileList = [], baseDir = dir) {
-  const files = fs.readdirSync(dir);
-  
-  files.forEach(file => {
-    const filePath = path.join(dir, file);
-    const stat = fs.statSync(filePath);
-    
-    if (stat.isDirectory() && !file.startsWith('.') && file !== 'node_modules' && file !== 'public') {
-      getMarkdownFiles(filePath, fileList, baseDir);
-    } else if (file.endsWith('.md')) {
-      fileList.push({
-        fullPath: filePath,
-        relativePath: path.relative(baseDir, filePath)
-      });
-    }
-  });
+export function getMarkdownFiles(dir, { include, exclude } = DEFAULT_CONFIG) {
+  const fileList = [];
   
+  const walk = current => {
+    // Sorted, since readdir order differs between filesystems
+    fs.readdirSync(current).sort().forEach(file => {
+      const filePath = path.join(current, file);
+      const relativePath = path.relative(dir, filePath);
+      
+      if (fs.statSync(filePath).isDirectory()) {
+        if (!isExcludedDir(relativePath, { exclude })) walk(filePath);
+      } else if (file.endsWith('.md') && isIncluded(relativePath, { include, exclude })) {
+        fileList.push({ fullPath: filePath, relativePath });
+      }
+    });
+  };
+  
+  walk(dir);
   return fileList;
 }
 
+/**
+ * Helper: Lines taken by frontmatter; parsed line numbers start after it
+ */
+export function frontmatterLines(raw) {
+  const { content } = matter(raw);
+  return raw.endsWith(content) ? raw.slice(0, raw.length - content.length).split('\n').length - 1 : 0;
+}
+
 // ==========================================
 // STATIC JSON GENERATION
 // ==========================================
 
-export function generateLLMOptimizedAPI(docsDir, outputDir) {
-  console.log('🤖 Generating LLM-optimized documentation API...\n');
+/**
+ * Generate the API for the pages in `docsDir` into `outputDir`
+ * Options left out fall back to `config` (a stunk-docs.config object),
+ * which is loaded from the docs directory's parent when not given.
+ */
+export async function generateLLMOptimizedAPI(docsDir, outputDir, {
+  config: userConfig,
+  publicDir = path.dirname(outputDir),
+  chunks: chunkOptions,
+  cacheFile = path.join(docsDir, '.vitepress/cache/api-build.json'),
+  quiet = false,
+  pages,
+  site: resolvedSite,
+  exclude,
+  excludeOrphans,
+  sourceDateEpoch = process.env.SOURCE_DATE_EPOCH
+} = {}) {
+  const log = quiet ? () => {} : console.log;
+  const warn = quiet ? () => {} : console.warn;
   
-  const markdownFiles = getMarkdownFiles(docsDir);
-  const docs = markdownFiles.map(({ fullPath, relativePath }) => 
-    parseMarkdownForLLM(fullPath, relativePath)
-  );
+  log('🤖 Generating LLM-optimized documentation API...\n');
   
-  if (!fs.existsSync(outputDir)) {
-    fs.mkdirSync(outputDir, { recursive: true });
+  const rootDir = path.dirname(docsDir);
+  const config = userConfig ? resolveConfig(userConfig, rootDir) : (await loadConfig(rootDir)).config;
+  const { baseUrl, outputs: emit, fields } = config;
+  const excludedPages = exclude ?? config.excludePages;
+  const parseOptions = {
+    summaryLength: config.summaryLength,
+    keywordLimit: config.keywordLimit,
+    wordsPerMinute: config.wordsPerMinute
+  };
+  
+  // A host (the VitePress integration) may hand over its resolved pages and config
+  const site = resolvedSite || await loadSiteConfig(docsDir);
+  const markdownFiles = (pages ? pages.filter(page => isIncluded(page.relativePath, config)) : getMarkdownFiles(docsDir, config))
+    .sort((a, b) => compareStrings(a.relativePath, b.relativePath));
+  
+  // Reproducible mode: with SOURCE_DATE_EPOCH set, timestamps come from it
+  // instead of the clock and file mtimes, so a commit always builds the same bytes
+  const buildDate = sourceDate(sourceDateEpoch);
+  
+  // Reject bad frontmatter up front, reporting every violation at once
+  const violations = validateFrontmatter(markdownFiles.map(file => file.fullPath), docsDir, { categories: sidebarCategories(site) });
+  if (violations.length > 0) {
+    const details = violations.map(({ file, line, message }) => `  ${file}:${line} - ${message}`).join('\n');
+    throw new Error(`${violations.length} frontmatter violation(s):\n${details}`);
   }
   
+  // Reparse only pages whose content hash changed since the cached build
+  const cache = loadBuildCache(cacheFile);
+  const cachedFiles = {};
+  const addedPages = [];
+  const changedPages = [];
+  
+  const parsedDocs = markdownFiles.map(({ fullPath, relativePath, overrides }) => {
+    const hash = hashContent(fs.readFileSync(fullPath) + JSON.stringify(overrides || {}) + JSON.stringify(parseOptions));
+    const cached = cache.files[relativePath];
+    
+    if (cached && cached.hash === hash) {
+      cachedFiles[relativePath] = cached;
+      return cached.record;
+    }
+    
+    const record = parseMarkdownForLLM(fullPath, relativePath, overrides, parseOptions);
+    (cached ? changedPages : addedPages).push(record.slug);
+    cachedFiles[relativePath] = { hash, record };
+    return record;
+  });
+  
+  const removedPages = Object.keys(cache.files)
+    .filter(file => !cachedFiles[file])
+    .map(file => cache.files[file].record.slug);
+  const reparsed = addedPages.length + changedPages.length;
+  
+  // Coverage is measured over every page; exclusions only drop pages from the outputs
+  const coverage = buildCoverageReport(parsedDocs, site);
+  const excluded = [...new Set([
+    ...excludedPages,
+    ...((excludeOrphans ?? config.excludeOrphans) ? coverage.orphans.map(orphan => orphan.slug) : [])
+  ])].filter(slug => parsedDocs.some(doc => doc.slug === slug)).sort();
+  const includedDocs = parsedDocs.filter(doc => !excluded.includes(doc.slug));
+  
+  // Category, group path, sidebar order and prev/next come from the sidebar;
+  // docs are listed in reading order, pages outside the sidebar last
+  const navigation = buildNavigation(includedDocs, site);
+  
+  // Created/modified dates, last commit and contributors come from git history;
+  // without git, lastModified stays the file mtime
+  const history = readGitHistory(docsDir, markdownFiles.map(file => file.fullPath));
+  const fullPaths = new Map(markdownFiles.map(file => [file.relativePath, file.fullPath]));
+  
+  const docs = includedDocs
+    .map(doc => {
+      const pageHistory = historyFields(history?.files.get(fullPaths.get(doc.path)), doc.lastModified);
+      return {
+        ...doc,
+        ...navigation.get(doc.slug),
+        ...pageHistory,
+        createdAt: pageHistory.createdAt && clampDate(pageHistory.createdAt, buildDate),
+        lastModified: clampDate(pageHistory.lastModified, buildDate)
+      };
+    })
+    .sort((a, b) => (a.sidebarOrder ?? Infinity) - (b.sidebarOrder ?? Infinity));
+  
+  const contentChanged = reparsed > 0 || removedPages.length > 0 || !cache.generatedAt ||
+    excluded.join('\n') !== cache.excluded.join('\n');
+  
+  // The build timestamp only moves when content does, so no-op builds are byte-identical
+  const generatedAt = buildDate
+    ? buildDate.toISOString()
+    : contentChanged ? new Date().toISOString() : cache.generatedAt;
+  
+  log(`♻️  Reparsed ${reparsed} of ${parsedDocs.length} pages (${parsedDocs.length - reparsed} from cache)`);
+  
+  coverage.orphans.forEach(orphan => {
+    warn(`⚠️  ${orphan.path} is not in the sidebar or nav and no page links to it${excluded.includes(orphan.slug) ? ' (excluded)' : ''}`);
+  });
+  coverage.missing.forEach(entry => {
+    warn(`⚠️  ${entry.source} link ${entry.link} has no matching page`);
+  });
+  coverage.duplicates.forEach(duplicate => {
+    warn(`⚠️  ${duplicate.source} lists ${pagePath(duplicate.slug)} ${duplicate.entries.length} times`);
+  });
+  if (!history) {
+    warn('⚠️  No git history available, lastModified falls back to file modification times');
+  } else if (history.shallow) {
+    warn('⚠️  Shallow git clone: createdAt, contributors and changeCount only cover the fetched commits');
+  }
+  if (excluded.length > 0) {
+    log(`🚫 Excluded ${excluded.length} page(s) from the API: ${excluded.join(', ')}`);
+  }
+  
+  const outputs = [];
+  const writtenFiles = [];
+  const fileSizes = new Map();
+  const writeOutput = (filePath, content) => {
+    outputs.push(filePath);
+    fileSizes.set(filePath, Buffer.byteLength(content));
+    if (writeIfChanged(filePath, content)) writtenFiles.push(filePath);
+  };
+  
+  // Byte size of an API file, for the routes.json endpoint listing
+  const endpointSize = name => {
+    const bytes = fileSizes.get(path.join(outputDir, name));
+    return bytes === undefined ? { size: 'varies', bytes: null } : { size: formatSize(bytes), bytes };
+  };
+  
+  // Files name their schema unless the schemas are not published
+  const schemaRef = name => emit.schemas ? { $schema: schemaUrl(name, baseUrl) } : {};
+  
   // Generate comprehensive index
   const index = {
+    ...schemaRef('index'),
     total: docs.length,
     metadata: {
-      generatedAt: new Date().toISOString(),
+      generatedAt,
       totalWords: docs.reduce((sum, doc) => sum + doc.wordCount, 0),
       totalCodeExamples: docs.reduce((sum, doc) => sum + doc.codeExamples.length, 0),
       categories: [...new Set(docs.map(d => d.category))],
@@ -429,10 +595,15 @@ export function generateLLMOptimizedAPI(docsDir, outputDir) {
     },
     docs: docs.map(doc => ({
       slug: doc.slug,
+      route: `${baseUrl}/${docFileName(doc.slug)}`,
       path: doc.path,
       title: doc.title,
       summary: doc.summary,
       category: doc.category,
+      groupPath: doc.groupPath,
+      sidebarOrder: doc.sidebarOrder,
+      prev: doc.prev?.slug ?? null,
+      next: doc.next?.slug ?? null,
       contentType: doc.contentType,
       complexity: doc.complexity,
       keywords: doc.keywords,
@@ -445,73 +616,308 @@ export function generateLLMOptimizedAPI(docsDir, outputDir) {
       codeExampleCount: doc.codeExamples.length,
       wordCount: doc.wordCount,
       estimatedReadingTime: doc.estimatedReadingTime,
+      createdAt: doc.createdAt,
       lastModified: doc.lastModified
     }))
   };
   
-  fs.writeFileSync(
+  writeOutput(
     path.join(outputDir, 'index.json'),
     JSON.stringify(index, null, 2)
   );
-  console.log(`✅ Generated index.json with ${docs.length} documents`);
+  log(`✅ Generated index.json with ${docs.length} documents`);
   
-  // Generate individual doc files
-  docs.forEach(doc => {
-    const docPath = path.join(outputDir, `${doc.slug}.json`);
-    const docDir = path.dirname(docPath);
-    
-    if (!fs.existsSync(docDir)) {
-      fs.mkdirSync(docDir, { recursive: true });
-    }
+  // Generate BM25 inverted index (compact) plus its query module
+  const searchIndex = emit.search ? buildSearchIndex(docs) : null;
+  
+  if (emit.search) {
+    writeOutput(
+      path.join(outputDir, 'search.json'),
+      JSON.stringify({ ...schemaRef('search'), ...searchIndex })
+    );
+    writeOutput(
+      path.join(outputDir, 'search-query.js'),
+      fs.readFileSync(path.join(__dirname, 'search-query.js'), 'utf-8')
+    );
+    log(`✅ Generated search.json (${Object.keys(searchIndex.terms).length} terms) and search-query.js`);
+  }
+  
+  // Generate section-level retrieval chunks (one JSON object per line)
+  if (emit.chunks) {
+    const retrievalChunks = buildRetrievalChunks(docs, chunkOptions ?? config.chunks);
+    const chunksJsonl = retrievalChunks.map(chunk => JSON.stringify(chunk)).join('\n') + '\n';
     
-    fs.writeFileSync(docPath, JSON.stringify(doc, null, 2));
-  });
-  console.log(`✅ Generated ${docs.length} individual document files`);
-  
-  // Generate search index optimized for LLM queries
-  const searchIndex = docs.map(doc => ({
-    slug: doc.slug,
-    title: doc.title,
-    summary: doc.summary,
-    keywords: doc.keywords,
-    category: doc.category,
-    contentType: doc.contentType,
-    sections: doc.sections.map(s => ({
-      heading: s.heading,
-      contentPlain: s.contentPlain
-    }))
-  }));
+    writeOutput(path.join(outputDir, 'chunks.jsonl'), chunksJsonl);
+    log(`✅ Generated chunks.jsonl with ${retrievalChunks.length} chunks`);
+  }
   
-  fs.writeFileSync(
-    path.join(outputDir, 'search.json'),
-    JSON.stringify(searchIndex, null, 2)
-  );
-  console.log('✅ Generated search.json');
+  // Generate API symbol table from signature headings and type declarations
+  // (built either way: the per-doc apisUsed come from it)
+  const symbols = buildSymbolTable(docs);
+  const symbolTable = {
+    ...schemaRef('symbols'),
+    total: symbols.length,
+    entrypoints: symbols.reduce((groups, symbol) => {
+      groups[symbol.entrypoint] = [...(groups[symbol.entrypoint] || []), symbol.name];
+      return groups;
+    }, {}),
+    symbols
+  };
+  
+  if (emit.symbols) {
+    writeOutput(path.join(outputDir, 'symbols.json'), JSON.stringify(symbolTable, null, 2));
+    log(`✅ Generated symbols.json with ${symbols.length} symbols`);
+  }
+  
+  // Generate cross-reference index: export → pages, sections and examples
+  const xref = buildCrossReference(docs, symbols);
+  const xrefIndex = {
+    ...schemaRef('xref'),
+    total: Object.keys(xref.symbols).length,
+    symbols: xref.symbols
+  };
+  
+  if (emit.xref) {
+    writeOutput(path.join(outputDir, 'xref.json'), JSON.stringify(xrefIndex, null, 2));
+    log(`✅ Generated xref.json with ${xrefIndex.total} exports`);
+  }
+  
+  // Generate individual doc files, each with the Stunk APIs it uses,
+  // leaving out the fields turned off in the config
+  docs.forEach(doc => {
+    const docFields = Object.fromEntries(Object.entries(doc).filter(([field]) => fields[field] !== false));
+    writeOutput(
+      path.join(outputDir, docFileName(doc.slug)),
+      JSON.stringify({ ...schemaRef('doc'), ...docFields, apisUsed: xref.apisUsed.get(doc.slug) }, null, 2)
+    );
+  });
+  log(`✅ Generated ${docs.length} individual document files`);
   
   // Generate category index
-  const categoryIndex = {};
+  const categoryIndex = { ...schemaRef('categories'), categories: {} };
   docs.forEach(doc => {
-    if (!categoryIndex[doc.category]) {
-      categoryIndex[doc.category] = [];
+    if (!categoryIndex.categories[doc.category]) {
+      categoryIndex.categories[doc.category] = [];
     }
-    categoryIndex[doc.category].push({
+    categoryIndex.categories[doc.category].push({
       slug: doc.slug,
       title: doc.title,
-      summary: doc.summary
+      summary: doc.summary,
+      groupPath: doc.groupPath,
+      sidebarOrder: doc.sidebarOrder
     });
   });
   
-  fs.writeFileSync(
+  writeOutput(
     path.join(outputDir, 'categories.json'),
     JSON.stringify(categoryIndex, null, 2)
   );
-  console.log('✅ Generated categories.json');
+  log('✅ Generated categories.json');
+  
+  // Generate one endpoint per category with full document summaries
+  index.metadata.categories.forEach(cat => {
+    const categoryDocs = docs.filter(d => d.category === cat);
+    const categoryEndpoint = {
+      ...schemaRef('category'),
+      name: cat,
+      count: categoryDocs.length,
+      totalWords: categoryDocs.reduce((sum, doc) => sum + doc.wordCount, 0),
+      totalCodeExamples: categoryDocs.reduce((sum, doc) => sum + doc.codeExamples.length, 0),
+      documents: categoryDocs.map(doc => ({
+        slug: doc.slug,
+        route: `${baseUrl}/${docFileName(doc.slug)}`,
+        title: doc.title,
+        description: doc.description,
+        summary: doc.summary,
+        groupPath: doc.groupPath,
+        sidebarOrder: doc.sidebarOrder,
+        prev: doc.prev,
+        next: doc.next,
+        contentType: doc.contentType,
+        complexity: doc.complexity,
+        keywords: doc.keywords,
+        tags: doc.tags,
+        tableOfContents: doc.tableOfContents,
+        codeExampleCount: doc.codeExamples.length,
+        wordCount: doc.wordCount,
+        estimatedReadingTime: doc.estimatedReadingTime,
+        createdAt: doc.createdAt,
+        lastModified: doc.lastModified
+      }))
+    };
+    
+    writeOutput(
+      path.join(outputDir, categoryFileName(cat)),
+      JSON.stringify(categoryEndpoint, null, 2)
+    );
+  });
+  log(`✅ Generated ${index.metadata.categories.length} category files`);
+  
+  // Generate sidebar/nav coverage report
+  const coverageReport = {
+    ...schemaRef('coverage'),
+    generated: generatedAt,
+    ...coverage,
+    excluded
+  };
+  
+  if (emit.coverage) {
+    writeOutput(path.join(outputDir, 'coverage.json'), JSON.stringify(coverageReport, null, 2));
+    log(`✅ Generated coverage.json (${coverage.orphans.length} orphans, ${coverage.missing.length} missing, ${coverage.duplicates.length} duplicates)`);
+  }
+  
+  // Generate recently-updated feed, newest edit first
+  const recentlyUpdated = {
+    ...schemaRef('recentlyUpdated'),
+    generated: generatedAt,
+    total: docs.length,
+    docs: [...docs]
+      .sort((a, b) => compareStrings(b.lastModified, a.lastModified) || compareStrings(a.slug, b.slug))
+      .map(doc => ({
+        slug: doc.slug,
+        route: `${baseUrl}/${docFileName(doc.slug)}`,
+        url: pagePath(doc.slug),
+        title: doc.title,
+        category: doc.category,
+        createdAt: doc.createdAt,
+        lastModified: doc.lastModified,
+        lastCommit: doc.lastCommit,
+        changeCount: doc.changeCount
+      }))
+  };
+  
+  if (emit.recentlyUpdated) {
+    writeOutput(path.join(outputDir, 'recently-updated.json'), JSON.stringify(recentlyUpdated, null, 2));
+    log('✅ Generated recently-updated.json');
+  }
+  
+  // Generate JSON Schemas for every file kind, plus matching TypeScript types
+  const schemas = buildSchemas(baseUrl);
+  
+  if (emit.schemas) {
+    Object.entries(schemas).forEach(([name, schema]) => {
+      writeOutput(path.join(outputDir, 'schema', schemaFileName(name)), JSON.stringify(schema, null, 2));
+    });
+    writeOutput(path.join(outputDir, 'schema', 'api.d.ts'), schemasToTypeScript(schemas));
+    log(`✅ Generated ${Object.keys(schemas).length} JSON Schemas and api.d.ts`);
+  }
+  
+  // Generate metadata file
+  const metadata = {
+    ...schemaRef('metadata'),
+    version: '1.0.0',
+    generated: generatedAt,
+    stats: {
+      totalDocs: docs.length,
+      totalWords: index.metadata.totalWords,
+      totalCodeExamples: index.metadata.totalCodeExamples,
+      avgWordsPerDoc: Math.round(index.metadata.totalWords / docs.length),
+      avgReadingTime: Math.round(docs.reduce((sum, d) => sum + d.estimatedReadingTime, 0) / docs.length)
+    },
+    categories: index.metadata.categories,
+    contentTypes: index.metadata.contentTypes,
+    complexityDistribution: {
+      beginner: docs.filter(d => d.complexity === 'beginner').length,
+      intermediate: docs.filter(d => d.complexity === 'intermediate').length,
+      advanced: docs.filter(d => d.complexity === 'advanced').length
+    },
+    languageDistribution: docs.flatMap(d => d.codeExamples.map(ex => ex.language))
+      .sort()
+      .reduce((acc, lang) => {
+        acc[lang] = (acc[lang] || 0) + 1;
+        return acc;
+      }, {})
+  };
+  
+  writeOutput(
+    path.join(outputDir, 'metadata.json'),
+    JSON.stringify(metadata, null, 2)
+  );
+  log('✅ Generated metadata.json');
   
   // Generate comprehensive routes listing for LLM
+  const endpoints = {
+    routes: {
+      path: `${baseUrl}/routes.json`,
+      description: 'This file - complete API route listing and documentation discovery',
+      size: 'varies',
+      bytes: null,
+      usage: 'Fetch this first to discover all available routes'
+    },
+    index: {
+      path: `${baseUrl}/index.json`,
+      description: 'Complete list of all documents with metadata (titles, summaries, keywords)',
+      ...endpointSize('index.json'),
+      usage: 'Browse all documents or search by metadata'
+    },
+    search: {
+      path: `${baseUrl}/search.json`,
+      description: 'BM25 inverted index over doc sections (fields: title, heading, keywords, body, code)',
+      ...endpointSize('search.json'),
+      usage: `Rank documents and sections with search() from ${baseUrl}/search-query.js`
+    },
+    searchQuery: {
+      path: `${baseUrl}/search-query.js`,
+      description: 'Zero-dependency ES module: search(index, query, { limit, fields, prefix })',
+      ...endpointSize('search-query.js'),
+      usage: `import { search } from '${baseUrl}/search-query.js' in the browser or Node`
+    },
+    chunks: {
+      path: `${baseUrl}/chunks.jsonl`,
+      description: 'Token-bounded section chunks (JSON Lines) with heading path, anchor URL, prose, code and content hash',
+      ...endpointSize('chunks.jsonl'),
+      usage: 'Ingest into a retrieval/embedding index; use hash to skip unchanged chunks'
+    },
+    symbols: {
+      path: `${baseUrl}/symbols.json`,
+      description: 'Documented API symbols (functions, hooks, interfaces, types) with parameters, return types, members, entrypoint and the pages that use them',
+      ...endpointSize('symbols.json'),
+      usage: 'Look up a signature by name, or find which entrypoint (stunk, stunk/react, stunk/middleware) exports it'
+    },
+    xref: {
+      path: `${baseUrl}/xref.json`,
+      description: 'Cross-reference of every stunk, stunk/react and stunk/middleware export to the pages, sections and code examples using it',
+      ...endpointSize('xref.json'),
+      usage: `Find every page that shows an API; each ${baseUrl}/{slug}.json lists the reverse in apisUsed`
+    },
+    categories: {
+      path: `${baseUrl}/categories.json`,
+      description: 'Documents organized by sidebar group (category), in reading order',
+      ...endpointSize('categories.json'),
+      usage: 'Browse documents by category'
+    },
+    coverage: {
+      path: `${baseUrl}/coverage.json`,
+      description: 'Pages missing from the sidebar and nav (orphans, unlisted), sidebar/nav links without a page, duplicate listings, and pages excluded from this API',
+      ...endpointSize('coverage.json'),
+      usage: 'Check which pages an LLM can reach through site navigation'
+    },
+    recentlyUpdated: {
+      path: `${baseUrl}/recently-updated.json`,
+      description: 'Every document ordered by its last git commit (or file mtime without git), newest first, with created date, last commit and change count',
+      ...endpointSize('recently-updated.json'),
+      usage: 'Find what changed recently; take the first entries for a changelog-style feed'
+    },
+    metadata: {
+      path: `${baseUrl}/metadata.json`,
+      description: 'Overall documentation statistics and metadata',
+      ...endpointSize('metadata.json'),
+      usage: 'Get overview statistics about the documentation'
+    },
+    openapi: {
+      path: `${baseUrl}/openapi.json`,
+      description: 'OpenAPI 3.1 description of every route, with response schemas and file sizes in bytes',
+      size: 'varies',
+      bytes: null,
+      usage: 'Load into an OpenAPI client or agent framework to call this API with standard tooling'
+    }
+  };
+  
   const routes = {
+    ...schemaRef('routes'),
     version: '1.0.0',
-    generated: new Date().toISOString(),
-    baseUrl: '/api',
+    generated: generatedAt,
+    baseUrl,
     
     // Overview stats
     stats: {
@@ -522,54 +928,32 @@ export function generateLLMOptimizedAPI(docsDir, outputDir) {
       contentTypes: index.metadata.contentTypes.length
     },
     
-    // Core endpoints for LLM to use
-    endpoints: {
-      routes: {
-        path: '/api/routes.json',
-        description: 'This file - complete API route listing and documentation discovery',
-        size: 'varies',
-        usage: 'Fetch this first to discover all available routes'
-      },
-      index: {
-        path: '/api/index.json',
-        description: 'Complete list of all documents with metadata (titles, summaries, keywords)',
-        size: `~${Math.round(JSON.stringify(index).length / 1024)}KB`,
-        usage: 'Browse all documents or search by metadata'
-      },
-      search: {
-        path: '/api/search.json',
-        description: 'Lightweight search index with document summaries and keywords',
-        size: `~${Math.round(JSON.stringify(searchIndex).length / 1024)}KB`,
-        usage: 'Quick keyword-based search across all documents'
-      },
-      categories: {
-        path: '/api/categories.json',
-        description: 'Documents organized by category',
-        size: `~${Math.round(JSON.stringify(categoryIndex).length / 1024)}KB`,
-        usage: 'Browse documents by category'
-      },
-      metadata: {
-        path: '/api/metadata.json',
-        description: 'Overall documentation statistics and metadata',
-        size: '~5KB',
-        usage: 'Get overview statistics about the documentation'
-      }
-    },
+    // Core endpoints for LLM to use (the ones turned on in the config)
+    endpoints: Object.fromEntries(Object.entries(endpoints)
+      .filter(([name]) => emit[name === 'searchQuery' ? 'search' : name] !== false)),
+    
+    // JSON Schema per file kind; each file also names its own in `$schema`
+    schemas: emit.schemas ? {
+      ...Object.fromEntries(Object.keys(API_SCHEMAS).map(name => [name, schemaUrl(name, baseUrl)])),
+      types: `${baseUrl}/schema/api.d.ts`
+    } : {},
     
     // All available categories
     categories: index.metadata.categories.map(cat => ({
       name: cat,
       count: docs.filter(d => d.category === cat).length,
-      route: `/api/category-${cat}.json`,
+      route: `${baseUrl}/${categoryFileName(cat)}`,
       description: `All ${cat} documents`
     })),
     
     // All individual documents
     documents: docs.map(doc => ({
       slug: doc.slug,
-      route: `/api/${doc.slug}.json`,
+      route: `${baseUrl}/${docFileName(doc.slug)}`,
       title: doc.title,
       category: doc.category,
+      groupPath: doc.groupPath,
+      sidebarOrder: doc.sidebarOrder,
       contentType: doc.contentType,
       complexity: doc.complexity,
       keywords: doc.keywords.slice(0, 8),
@@ -582,10 +966,13 @@ export function generateLLMOptimizedAPI(docsDir, outputDir) {
     
     // Search capabilities
     capabilities: {
-      search: {
-        fields: ['title', 'summary', 'keywords', 'category', 'contentPlain'],
-        description: 'Search across these fields in documents'
-      },
+      ...(emit.search ? {
+        search: {
+          fields: searchIndex.fields,
+          ranking: 'BM25 (k1 1.2, b 0.75), field-weighted, stemmed and stop-word filtered',
+          description: 'Search across these fields in document sections'
+        }
+      } : {}),
       filter: {
         fields: ['category', 'complexity', 'contentType'],
         values: {
@@ -604,32 +991,38 @@ export function generateLLMOptimizedAPI(docsDir, outputDir) {
     // Usage guide for LLM
     usage: {
       quickStart: {
-        step1: 'Fetch /api/routes.json (this file) to discover all available routes',
-        step2: 'Use /api/index.json to browse all documents with metadata',
-        step3: 'Use /api/search.json for keyword-based searching',
-        step4: 'Fetch /api/{slug}.json to get complete document content'
+        step1: `Fetch ${baseUrl}/routes.json (this file) to discover all available routes`,
+        step2: `Use ${baseUrl}/index.json to browse all documents with metadata`,
+        step3: emit.search
+          ? `Load ${baseUrl}/search.json and rank it with search() from ${baseUrl}/search-query.js`
+          : `Filter ${baseUrl}/index.json by category, complexity, contentType or keywords`,
+        step4: `Fetch ${baseUrl}/{slug}.json to get complete document content`
       },
       examples: {
         findByKeyword: {
           description: 'Find documents containing specific keyword',
-          steps: [
-            'Fetch /api/search.json',
-            'Filter by keyword in title, summary, or keywords array',
-            'Use the slug to fetch full document from /api/{slug}.json'
+          steps: emit.search ? [
+            `Fetch ${baseUrl}/search.json`,
+            `Call search(index, keyword) from ${baseUrl}/search-query.js`,
+            `Use the ranked slugs/section ids to fetch ${baseUrl}/{slug}.json`
+          ] : [
+            `Fetch ${baseUrl}/index.json`,
+            'Match the keyword against each document\'s keywords, title and summary',
+            `Use the matching slugs to fetch ${baseUrl}/{slug}.json`
           ]
         },
         findByCategory: {
           description: 'Get all documents in a category',
           steps: [
-            'Fetch /api/categories.json to see all categories',
-            'Or fetch /api/category-{name}.json for specific category',
+            `Fetch ${baseUrl}/categories.json to see all categories`,
+            `Or fetch ${baseUrl}/category-{name}.json for specific category`,
             'Use slugs to fetch full documents'
           ]
         },
         getSpecificSection: {
           description: 'Get a specific section from a document',
           steps: [
-            'Fetch /api/{slug}.json',
+            `Fetch ${baseUrl}/{slug}.json`,
             'Navigate to sections array',
             'Find section by id or heading',
             'Access section.content or section.contentPlain'
@@ -638,7 +1031,7 @@ export function generateLLMOptimizedAPI(docsDir, outputDir) {
         getCodeExamples: {
           description: 'Get code examples from a document',
           steps: [
-            'Fetch /api/{slug}.json',
+            `Fetch ${baseUrl}/{slug}.json`,
             'Access codeExamples array',
             'Filter by language if needed',
             'Each example includes code, language, and purpose'
@@ -646,84 +1039,209 @@ export function generateLLMOptimizedAPI(docsDir, outputDir) {
         }
       },
       tips: [
-        'Use /api/index.json for browsing - it includes all metadata without full content',
-        'Use /api/search.json for searching - it\'s optimized for keyword matching',
+        `Use ${baseUrl}/index.json for browsing - it includes all metadata without full content`,
+        ...(emit.search ? [`Use ${baseUrl}/search.json with ${baseUrl}/search-query.js for ranked full-text search`] : []),
         'Fetch specific documents only when you need full content',
         'Check complexity field to recommend appropriate content for user level',
         'Use keywords array for semantic search and content discovery',
         'Sections array provides document structure for navigation',
-        'codeExamples are pre-extracted with language and purpose metadata'
+        'codeExamples are pre-extracted with language and purpose metadata',
+        ...(emit.openapi ? [`Load ${baseUrl}/openapi.json to generate a typed client for every route`] : [])
       ]
     },
     
     // Quick reference for common queries
     quickReference: {
-      'List all documents': 'GET /api/index.json',
-      'Search documents': 'GET /api/search.json',
-      'Get specific document': 'GET /api/{slug}.json',
-      'Browse by category': 'GET /api/categories.json',
-      'Get category documents': 'GET /api/category-{name}.json',
-      'View all routes': 'GET /api/routes.json (this file)'
+      'List all documents': `GET ${baseUrl}/index.json`,
+      ...(emit.search ? { 'Search documents': `GET ${baseUrl}/search.json` } : {}),
+      ...(emit.chunks ? { 'Retrieval chunks (JSONL)': `GET ${baseUrl}/chunks.jsonl` } : {}),
+      ...(emit.symbols ? { 'API symbols and signatures': `GET ${baseUrl}/symbols.json` } : {}),
+      ...(emit.xref ? { 'Pages using an API': `GET ${baseUrl}/xref.json` } : {}),
+      'Get specific document': `GET ${baseUrl}/{slug}.json`,
+      'Browse by category': `GET ${baseUrl}/categories.json`,
+      'Get category documents': `GET ${baseUrl}/category-{name}.json`,
+      ...(emit.coverage ? { 'Pages missing from navigation': `GET ${baseUrl}/coverage.json` } : {}),
+      ...(emit.recentlyUpdated ? { 'Recently updated pages': `GET ${baseUrl}/recently-updated.json` } : {}),
+      'View all routes': `GET ${baseUrl}/routes.json (this file)`,
+      ...(emit.openapi ? { 'OpenAPI description': `GET ${baseUrl}/openapi.json` } : {}),
+      ...(emit.llmsTxt ? {
+        'LLM-friendly site index': 'GET /llms.txt',
+        'All docs as one markdown file': 'GET /llms-full.txt'
+      } : {}),
+      ...(emit.schemas ? {
+        'JSON Schema of a file': `GET ${baseUrl}/schema/{kind}.schema.json (see schemas)`,
+        'TypeScript types': `GET ${baseUrl}/schema/api.d.ts`
+      } : {})
     }
   };
   
-  fs.writeFileSync(
+  writeOutput(
     path.join(outputDir, 'routes.json'),
     JSON.stringify(routes, null, 2)
   );
-  console.log('✅ Generated routes.json');
+  log('✅ Generated routes.json');
   
-  // Generate metadata file
-  const metadata = {
-    version: '1.0.0',
-    generated: new Date().toISOString(),
-    stats: {
-      totalDocs: docs.length,
-      totalWords: index.metadata.totalWords,
-      totalCodeExamples: index.metadata.totalCodeExamples,
-      avgWordsPerDoc: Math.round(index.metadata.totalWords / docs.length),
-      avgReadingTime: Math.round(docs.reduce((sum, d) => sum + d.estimatedReadingTime, 0) / docs.length)
-    },
-    categories: index.metadata.categories,
-    contentTypes: index.metadata.contentTypes,
-    complexityDistribution: {
-      beginner: docs.filter(d => d.complexity === 'beginner').length,
-      intermediate: docs.filter(d => d.complexity === 'intermediate').length,
-      advanced: docs.filter(d => d.complexity === 'advanced').length
-    },
-    languageDistribution: docs.flatMap(d => d.codeExamples.map(ex => ex.language))
-      .reduce((acc, lang) => {
-        acc[lang] = (acc[lang] || 0) + 1;
-        return acc;
-      }, {})
+  // Generate llms.txt / llms-full.txt at the site root
+  if (emit.llmsTxt) {
+    const { entries: llmsEntries, unresolved } = orderDocsForLLMs(docs, site);
+    // Dead sidebar/nav links are already reported by the coverage check
+    unresolved
+      .filter(link => excluded.includes(linkToSlug(link)))
+      .forEach(link => {
+        warn(`⚠️  Sidebar/nav link ${link} points to an excluded page, left out of llms.txt`);
+      });
+    
+    writeOutput(path.join(publicDir, 'llms.txt'), generateLLMsTxt(llmsEntries, site));
+    writeOutput(path.join(publicDir, 'llms-full.txt'), generateLLMsFullTxt(llmsEntries, site));
+    log(`✅ Generated llms.txt and llms-full.txt (${llmsEntries.length} pages)`);
+  }
+  
+  // Generate the OpenAPI description last, so it can give every other file's size
+  if (emit.openapi) {
+    const openApi = buildOpenApiDocument(routes, schemas, route => fileSizes.get(
+      route.startsWith(`${baseUrl}/`)
+        ? path.join(outputDir, route.slice(baseUrl.length + 1))
+        : path.join(publicDir, route.slice(1))
+    ), { llmsTxt: emit.llmsTxt });
+    
+    writeOutput(path.join(outputDir, 'openapi.json'), JSON.stringify(openApi, null, 2));
+    log(`✅ Generated openapi.json (${Object.keys(openApi.paths).length} paths)`);
+  }
+  
+  log('\n📊 Statistics:');
+  log(`   Total documents: ${docs.length}`);
+  log(`   Total words: ${index.metadata.totalWords.toLocaleString()}`);
+  log(`   Code examples: ${index.metadata.totalCodeExamples}`);
+  log(`   Categories: ${index.metadata.categories.join(', ')}`);
+  log(`   Content types: ${index.metadata.contentTypes.join(', ')}`);
+  
+  // Remove outputs of deleted pages/categories left by the previous build
+  const staleOutputs = cache.outputs.filter(file => !outputs.includes(file) && fs.existsSync(file));
+  staleOutputs.forEach(file => fs.unlinkSync(file));
+  
+  // Every route advertised in routes.json must resolve to a written file
+  assertRoutesExist(routes, outputDir);
+  
+  // Every emitted file must match its published schema
+  const schemaViolations = validateOutputs(outputDir, outputs);
+  if (schemaViolations.length > 0) {
+    const details = schemaViolations.map(({ file, line, message }) => `  ${file}${line ? `:${line}` : ''} - ${message}`).join('\n');
+    throw new Error(`${schemaViolations.length} schema violation(s) in the generated API:\n${details}`);
+  }
+  log('✅ Every generated file matches its schema');
+  
+  saveBuildCache(cacheFile, { generator: cache.generator, generatedAt, files: cachedFiles, outputs, excluded });
+  
+  log(`\n💾 ${writtenFiles.length} files written, ${outputs.length - writtenFiles.length} unchanged, ${staleOutputs.length} stale removed`);
+  
+  const categoryCount = index.metadata.categories.length;
+  const schemaCount = emit.schemas ? Object.keys(schemas).length + 1 : 0;
+  log(`\n📡 Generated ${outputs.length} total files`);
+  log(`   - ${docs.length} document files`);
+  log(`   - ${categoryCount} category files`);
+  log(`   - ${outputs.length - docs.length - categoryCount - schemaCount} index/metadata files`);
+  log(`   - ${schemaCount} schema/type files\n`);
+  
+  return {
+    docs,
+    coverage: coverageReport,
+    addedPages,
+    changedPages,
+    removedPages,
+    writtenFiles,
+    staleOutputs
   };
+}
+
+/**
+ * Helper: SOURCE_DATE_EPOCH (seconds since 1970) as a Date, or null when unset
+ * https://reproducible-builds.org/specs/source-date-epoch/
+ */
+export function sourceDate(epoch) {
+  if (epoch === undefined || epoch === null || epoch === '') return null;
   
-  fs.writeFileSync(
-    path.join(outputDir, 'metadata.json'),
-    JSON.stringify(metadata, null, 2)
-  );
-  console.log('✅ Generated metadata.json');
-  
-  console.log('\n📊 Statistics:');
-  console.log(`   Total documents: ${docs.length}`);
-  console.log(`   Total words: ${index.metadata.totalWords.toLocaleString()}`);
-  console.log(`   Code examples: ${index.metadata.totalCodeExamples}`);
-  console.log(`   Categories: ${index.metadata.categories.join(', ')}`);
-  console.log(`   Content types: ${index.metadata.contentTypes.join(', ')}`);
-  console.log(`\n📡 Generated ${docs.length + 6} total files`);
-  console.log(`   - ${docs.length} document files`);
-  console.log(`   - 6 index/metadata files\n`);
+  const seconds = Number(epoch);
+  if (!Number.isInteger(seconds) || seconds < 0) {
+    throw new Error(`SOURCE_DATE_EPOCH must be a non-negative integer, got "${epoch}"`);
+  }
+  
+  return new Date(seconds * 1000);
+}
+
+/**
+ * Helper: Clamp an ISO timestamp to the build date, as reproducible builds do
+ * with file mtimes (a fresh checkout's mtimes are all "now")
+ */
+function clampDate(isoDate, buildDate) {
+  if (!buildDate) return isoDate;
+  return new Date(isoDate) > buildDate ? buildDate.toISOString() : isoDate;
+}
+
+/**
+ * Helper: Byte count as a short human-readable size
+ */
+function formatSize(bytes) {
+  return bytes < 1024 ? `${bytes}B` : `${(bytes / 1024).toFixed(1)}KB`;
+}
+
+/**
+ * Helper: Per-doc file name ({slug}.json)
+ * Slugs that collide with an aggregate file (docs/index.md → index.json)
+ * get a .page.json suffix instead of overwriting it
+ */
+export function docFileName(slug) {
+  return RESERVED_FILE_NAMES.has(slug) ? `${slug}.page.json` : `${slug}.json`;
+}
+
+/**
+ * Helper: Category endpoint file name (category-{name}.json)
+ */
+function categoryFileName(category) {
+  const name = category
+    .toLowerCase()
+    .replace(/[^\w-]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+  
+  return `category-${name}.json`;
+}
+
+/**
+ * Throw if any route listed in routes.json has no file on disk
+ */
+export function assertRoutesExist(routes, outputDir) {
+  const advertised = [
+    ...Object.values(routes.endpoints).map(endpoint => endpoint.path),
+    ...Object.values(routes.schemas),
+    ...routes.categories.map(cat => cat.route),
+    ...routes.documents.map(doc => doc.route)
+  ];
+  
+  const missing = advertised.filter(route => {
+    const relativePath = route.slice(routes.baseUrl.length).replace(/^\//, '');
+    return !fs.existsSync(path.join(outputDir, relativePath));
+  });
+  
+  if (missing.length > 0) {
+    throw new Error(`routes.json advertises ${missing.length} missing file(s): ${missing.join(', ')}`);
+  }
 }
 
 // Run if executed directly
 if (import.meta.url === `file://${process.argv[1]}`) {
-  const docsDir = path.join(__dirname, '../docs');
-  const outputDir = path.join(__dirname, '../docs/public/api');
+  const configIndex = process.argv.indexOf('--config');
   
   try {
-    generateLLMOptimizedAPI(docsDir, outputDir);
+    // stunk-docs.config.(js|json) in the project root, or the file after --config
+    const { file, config } = await loadConfig(path.join(__dirname, '..'), configIndex === -1 ? undefined : process.argv[configIndex + 1]);
+    if (file) console.log(`⚙️  Using ${path.relative(process.cwd(), file)}`);
+    
+    await generateLLMOptimizedAPI(config.docsDir, config.outDir, {
+      config,
+      ...(process.argv.includes('--no-cache') ? { cacheFile: null } : {}),
+      ...(process.argv.includes('--exclude-orphans') ? { excludeOrphans: true } : {})
+    });
   } catch (error) {
     console.error('❌ Error:', error);
     process.exit(1);
   }
-}
\ No newline at end of file
+}
@@ -0,0 +1,73 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// ==========================================
+// INCREMENTAL BUILD CACHE
+// ==========================================
+
+// Bump when parseMarkdownForLLM output changes shape
+export const GENERATOR_VERSION = '1.0.0';
+
+// Parser sources; any edit to them invalidates cached records too
+const PARSER_SOURCES = ['api.js', 'markdown.js'];
+
+/**
+ * Helper: sha256 hex digest of a string or buffer
+ */
+export function hashContent(content) {
+  return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+/**
+ * Cache key for the generator itself
+ */
+export function generatorFingerprint() {
+  const sources = PARSER_SOURCES
+    .map(file => fs.readFileSync(path.join(__dirname, file), 'utf-8'))
+    .join('\0');
+
+  return `${GENERATOR_VERSION}+${hashContent(sources).slice(0, 12)}`;
+}
+
+/**
+ * Load the cache, discarding it when the generator has changed
+ * Shape: { generator, generatedAt, files: { [relativePath]: { hash, record } }, outputs: [], excluded: [] }
+ */
+export function loadBuildCache(cacheFile) {
+  const generator = generatorFingerprint();
+  const empty = { generator, generatedAt: null, files: {}, outputs: [], excluded: [] };
+
+  if (!cacheFile || !fs.existsSync(cacheFile)) return empty;
+
+  try {
+    const cache = JSON.parse(fs.readFileSync(cacheFile, 'utf-8'));
+    return cache.generator === generator ? { ...empty, ...cache } : empty;
+  } catch {
+    return empty;
+  }
+}
+
+export function saveBuildCache(cacheFile, cache) {
+  if (!cacheFile) return;
+
+  fs.mkdirSync(path.dirname(cacheFile), { recursive: true });
+  fs.writeFileSync(cacheFile, JSON.stringify(cache));
+}
+
+/**
+ * Write a file only when its bytes differ from what is on disk
+ * Returns true when the file was written
+ */
+export function writeIfChanged(filePath, content) {
+  if (fs.existsSync(filePath) && fs.readFileSync(filePath, 'utf-8') === content) {
+    return false;
+  }
+
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, content);
+  return true;
+}
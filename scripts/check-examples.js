@@ -0,0 +1,217 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import ts from 'typescript';
+import { frontmatterLines, getMarkdownFiles, parseMarkdownForLLM } from './api.js';
+import { DEFAULT_CONFIG, loadConfig } from './config.js';
+import { identifierPattern } from './symbols.js';
+import { compareStrings } from './util.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// ==========================================
+// TYPE-CHECK CODE EXAMPLES
+// ==========================================
+
+export const DEFAULT_CHECK_OPTIONS = {
+  // Fence languages that are compiled; everything else is skipped
+  languages: ['ts', 'typescript', 'tsx'],
+  // autoImport (packages whose exports are imported when a snippet uses them
+  // without importing), preludes (prepended per page slug, '*' for all) and
+  // ignore (diagnostic codes never reported) come from `examples` in the config
+  ...DEFAULT_CONFIG.examples,
+  // Pages searched for snippets, as in the config
+  include: DEFAULT_CONFIG.include,
+  exclude: DEFAULT_CONFIG.exclude,
+  compilerOptions: {
+    target: ts.ScriptTarget.ES2022,
+    module: ts.ModuleKind.ESNext,
+    moduleResolution: ts.ModuleResolutionKind.Bundler,
+    jsx: ts.JsxEmit.ReactJSX,
+    lib: ['lib.es2022.d.ts', 'lib.dom.d.ts'],
+    strict: true,
+    // Snippets leave callback parameters unannotated on purpose
+    noImplicitAny: false,
+    noEmit: true,
+    skipLibCheck: true,
+    allowUnusedLabels: true,
+    allowUnreachableCode: true
+  }
+};
+
+// Fence meta that opts a block out: ```ts no-check
+const SKIP_META = /\bno-check\b/;
+
+/**
+ * Compile every TypeScript code block as its own module against the
+ * installed `stunk` typings and report diagnostics at their markdown line
+ * Returns [{ file, line, column, code, message, slug }]
+ */
+export function checkExamples(docsDir, options = {}) {
+  const { languages, autoImport, preludes, ignore, include, exclude, compilerOptions } = {
+    ...DEFAULT_CHECK_OPTIONS,
+    ...options,
+    compilerOptions: { ...DEFAULT_CHECK_OPTIONS.compilerOptions, ...options.compilerOptions }
+  };
+  const rootDir = path.resolve(docsDir, '..');
+  const exportsByModule = moduleExports(autoImport, rootDir, compilerOptions);
+
+  const snippets = getMarkdownFiles(docsDir, { include, exclude }).flatMap(({ fullPath, relativePath }) => {
+    const doc = parseMarkdownForLLM(fullPath, relativePath);
+    const lineOffset = frontmatterLines(fs.readFileSync(fullPath, 'utf-8'));
+    const prelude = [preludes['*'], preludes[doc.slug]].filter(Boolean).join('\n');
+
+    return doc.codeExamples
+      .map((block, index) => ({ block, index }))
+      .filter(({ block }) => languages.includes(block.language) && !SKIP_META.test(block.meta || ''))
+      .map(({ block, index }) => {
+        const declarations = preludeFor(prelude, block.code);
+        const imports = missingImports(`${declarations}\n${block.code}`, exportsByModule);
+        const header = [declarations, ...imports].filter(Boolean).join('\n');
+        const extension = block.language === 'tsx' ? 'tsx' : 'ts';
+
+        return {
+          slug: doc.slug,
+          file: path.relative(rootDir, fullPath),
+          // Virtual file beside the docs so node_modules resolution works
+          fileName: path.join(docsDir, '.examples', doc.slug, `${index}.${extension}`),
+          // Code starts on the line after the opening fence
+          firstLine: block.lineNumber + lineOffset + 1,
+          headerLines: header ? header.split('\n').length : 0,
+          source: `${header ? `${header}\n` : ''}${block.code}\nexport {};\n`
+        };
+      });
+  });
+
+  const program = createProgram(snippets, compilerOptions);
+
+  return snippets.flatMap(snippet => {
+    const sourceFile = program.getSourceFile(snippet.fileName);
+    const diagnostics = [
+      ...program.getSyntacticDiagnostics(sourceFile),
+      ...program.getSemanticDiagnostics(sourceFile)
+    ].filter(diagnostic => !ignore.includes(diagnostic.code));
+
+    return diagnostics.map(diagnostic => {
+      const { line, character } = sourceFile.getLineAndCharacterOfPosition(diagnostic.start || 0);
+      const codeLine = Math.max(line - snippet.headerLines, 0);
+
+      return {
+        slug: snippet.slug,
+        file: snippet.file,
+        line: snippet.firstLine + codeLine,
+        column: line < snippet.headerLines ? 1 : character + 1,
+        code: diagnostic.code,
+        message: ts.flattenDiagnosticMessageText(diagnostic.messageText, '\n')
+      };
+    });
+  }).sort((a, b) => compareStrings(a.file, b.file) || a.line - b.line || a.column - b.column);
+}
+
+/**
+ * Helper: Program whose root files are the in-memory snippets
+ */
+function createProgram(snippets, compilerOptions) {
+  const files = new Map(snippets.map(snippet => [path.resolve(snippet.fileName), snippet.source]));
+  const host = ts.createCompilerHost(compilerOptions);
+  const { fileExists, readFile, getSourceFile } = host;
+
+  host.fileExists = fileName => files.has(path.resolve(fileName)) || fileExists.call(host, fileName);
+  host.readFile = fileName => files.get(path.resolve(fileName)) ?? readFile.call(host, fileName);
+  host.getSourceFile = (fileName, languageVersion, ...rest) => {
+    const source = files.get(path.resolve(fileName));
+    return source === undefined
+      ? getSourceFile.call(host, fileName, languageVersion, ...rest)
+      : ts.createSourceFile(fileName, source, languageVersion, true);
+  };
+
+  return ts.createProgram([...files.keys()], compilerOptions, host);
+}
+
+/**
+ * Export names of each auto-import module, as the type checker sees them
+ */
+function moduleExports(modules, rootDir, compilerOptions) {
+  const probe = {
+    fileName: path.join(rootDir, '.examples-probe.ts'),
+    source: modules.map((name, i) => `import * as m${i} from '${name}';`).join('\n')
+  };
+  const program = createProgram([probe], compilerOptions);
+  const checker = program.getTypeChecker();
+  const sourceFile = program.getSourceFile(probe.fileName);
+
+  return new Map(sourceFile.statements.map((statement, i) => {
+    const symbol = checker.getSymbolAtLocation(statement.moduleSpecifier);
+    const names = symbol ? checker.getExportsOfModule(symbol).map(exported => exported.name) : [];
+    return [modules[i], names.filter(name => name !== 'default')];
+  }));
+}
+
+/**
+ * Helper: import lines for exports a snippet uses but neither imports nor
+ * declares itself. The first module exporting a name wins.
+ */
+export function missingImports(code, exportsByModule) {
+  const declared = declaredNames(code);
+  const imports = new Map();
+  const claimed = new Set();
+
+  exportsByModule.forEach((names, module) => {
+    names
+      .filter(name => !claimed.has(name) && !declared.has(name) && identifierPattern(name).test(code))
+      .forEach(name => {
+        claimed.add(name);
+        imports.set(module, [...(imports.get(module) || []), name]);
+      });
+  });
+
+  return [...imports].map(([module, names]) => `import { ${names.join(', ')} } from '${module}';`);
+}
+
+/**
+ * Helper: The prelude lines a snippet needs. A prelude declares one thing per
+ * line; lines declaring a name the snippet declares itself are left out, so
+ * one page prelude serves the blocks that define a variable and the blocks
+ * that only use it.
+ */
+export function preludeFor(prelude, code) {
+  const declared = declaredNames(code);
+
+  return prelude
+    .split('\n')
+    .filter(line => ![...declaredNames(line)].some(name => declared.has(name)))
+    .join('\n');
+}
+
+function declaredNames(code) {
+  return new Set(
+    [...code.matchAll(/\b(?:import|const|let|var|function|class|interface|type)\s+(?:\{([^}]*)\}|([\w$]+))/g)]
+      .flatMap(([, names, name]) => (names || name).split(/[\s,]+/))
+      .map(name => name.replace(/.*\bas\s+/, ''))
+      .filter(Boolean)
+  );
+}
+
+// Run if executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  try {
+    const { config } = await loadConfig(path.join(__dirname, '..'));
+
+    console.log('🔎 Type-checking TypeScript code examples...\n');
+    const diagnostics = checkExamples(config.docsDir, { ...config.examples, include: config.include, exclude: config.exclude });
+
+    diagnostics.forEach(({ file, line, column, code, message }) => {
+      console.log(`${file}:${line}:${column} - error TS${code}: ${message}`);
+    });
+
+    if (diagnostics.length > 0) {
+      const pages = new Set(diagnostics.map(diagnostic => diagnostic.file)).size;
+      console.error(`\n❌ ${diagnostics.length} error(s) in ${pages} page(s)`);
+      process.exit(1);
+    }
+    console.log('✅ All code examples type-check');
+  } catch (error) {
+    console.error('❌ Error:', error);
+    process.exit(1);
+  }
+}
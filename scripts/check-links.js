@@ -0,0 +1,199 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { frontmatterLines, getMarkdownFiles, parseMarkdownForLLM } from './api.js';
+import { DEFAULT_CONFIG, loadConfig } from './config.js';
+import { frontmatterLinks, linkToSlug, loadSiteConfig, pagePath, resolveLink } from './site.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// ==========================================
+// LINK AND ANCHOR CHECKER
+// ==========================================
+
+// Written by the generator, so they exist in the built site only
+const GENERATED_TARGETS = [/^\/api\//, /^\/llms(-full)?\.txt$/];
+
+/**
+ * Check every internal link: sidebar and nav entries, hero/feature links in
+ * frontmatter and links in page content, including #anchors
+ * Pages are the ones passing the config's `include`/`exclude` globs
+ * Returns [{ file, line, source, url, message, suggestion }]
+ */
+export async function checkLinks(docsDir, { site, include = DEFAULT_CONFIG.include, exclude = DEFAULT_CONFIG.exclude } = {}) {
+  const rootDir = path.resolve(docsDir, '..');
+  const publicDir = path.join(docsDir, 'public');
+  const resolvedSite = site || await loadSiteConfig(docsDir);
+  const configFile = findConfigFile(docsDir);
+  const configLines = configFile ? fs.readFileSync(configFile, 'utf-8').split('\n') : [];
+
+  const pages = getMarkdownFiles(docsDir, { include, exclude }).map(({ fullPath, relativePath }) => {
+    const raw = fs.readFileSync(fullPath, 'utf-8');
+    return {
+      doc: parseMarkdownForLLM(fullPath, relativePath),
+      file: path.relative(rootDir, fullPath),
+      raw,
+      lineOffset: frontmatterLines(raw)
+    };
+  });
+  // Links before the first heading sit in the level-0 intro section, which has no anchor
+  const anchors = new Map(pages.map(({ doc }) => [
+    doc.slug,
+    doc.sections.filter(section => section.level > 0).map(section => section.id)
+  ]));
+
+  const configLink = (kind, entry) => ({
+    file: configFile ? path.relative(rootDir, configFile) : '.vitepress/config',
+    line: lineContaining(configLines, `'${entry.link}'`, `"${entry.link}"`),
+    source: `${kind} "${[...(entry.groups || []), entry.text].join(' › ')}"`,
+    from: 'index',
+    url: entry.link
+  });
+
+  const links = [
+    ...resolvedSite.sidebar.map(entry => configLink('sidebar', entry)),
+    ...resolvedSite.nav.map(entry => configLink('nav', entry)),
+    ...pages.flatMap(({ doc, file, raw, lineOffset }) => [
+      ...frontmatterLinks(doc.frontmatter).map(({ source, url }) => ({
+        file,
+        line: lineContaining(raw.split('\n'), `link: ${url}`),
+        source,
+        from: doc.slug,
+        url
+      })),
+      ...doc.sections.flatMap(section => section.links.map(link => ({
+        file,
+        line: link.lineNumber + lineOffset,
+        source: `link "${link.text}"`,
+        from: doc.slug,
+        url: link.url
+      })))
+    ])
+  ];
+
+  return links.flatMap(link => {
+    const problem = checkTarget(link, { anchors, docsDir, publicDir });
+    if (!problem) return [];
+
+    const { from, ...location } = link;
+    return [{ ...location, ...problem }];
+  });
+}
+
+/**
+ * Helper: Why a link is dead, or null when it resolves
+ */
+function checkTarget({ url, from }, { anchors, docsDir, publicDir }) {
+  const target = resolveLink(url, from);
+  if (!target) return null;
+
+  const { pathname: absolute, hash: rawHash } = target;
+  const hash = safeDecode(rawHash);
+
+  if (GENERATED_TARGETS.some(pattern => pattern.test(absolute))) return null;
+
+  const extension = path.posix.extname(absolute);
+  if (extension && extension !== '.md' && extension !== '.html') {
+    const exists = [publicDir, docsDir].some(dir => fs.existsSync(path.join(dir, absolute)));
+    return exists ? null : { message: `no file ${absolute} in public/ or the docs`, suggestion: null };
+  }
+
+  const slug = linkToSlug(absolute);
+  if (!anchors.has(slug)) {
+    const nearest = closest(slug, [...anchors.keys()]);
+    return {
+      message: `no page "${slug}"`,
+      suggestion: nearest ? `${pagePath(nearest)}${rawHash ? `#${rawHash}` : ''}` : null
+    };
+  }
+
+  if (hash && !anchors.get(slug).includes(hash)) {
+    const nearest = closest(hash, anchors.get(slug));
+    return {
+      message: `no heading #${hash} on ${pagePath(slug)}`,
+      suggestion: nearest ? `${pagePath(slug)}#${nearest}` : null
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Helper: Nearest candidate by edit distance, if it is plausibly a typo
+ */
+function closest(target, candidates) {
+  const maxDistance = Math.max(2, Math.floor(target.length / 3));
+  let best = null;
+  let bestDistance = Infinity;
+
+  candidates.forEach(candidate => {
+    const distance = editDistance(target, candidate);
+    if (distance < bestDistance) {
+      best = candidate;
+      bestDistance = distance;
+    }
+  });
+
+  return bestDistance <= maxDistance ? best : null;
+}
+
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+
+  return previous[b.length];
+}
+
+function findConfigFile(docsDir) {
+  return ['config.mts', 'config.ts', 'config.mjs', 'config.js']
+    .map(name => path.join(docsDir, '.vitepress', name))
+    .find(file => fs.existsSync(file)) || null;
+}
+
+function lineContaining(lines, ...needles) {
+  const index = lines.findIndex(line => needles.some(needle => line.includes(needle)));
+  return index === -1 ? null : index + 1;
+}
+
+function safeDecode(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch {
+    return value;
+  }
+}
+
+// Run if executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  try {
+    const { config } = await loadConfig(path.join(__dirname, '..'));
+
+    console.log('🔗 Checking internal links and anchors...\n');
+    const deadLinks = await checkLinks(config.docsDir, { include: config.include, exclude: config.exclude });
+
+    deadLinks.forEach(({ file, line, source, url, message, suggestion }) => {
+      const location = line ? `${file}:${line}` : file;
+      console.log(`${location} - ${source} → ${url}: ${message}${suggestion ? ` (did you mean ${suggestion}?)` : ''}`);
+    });
+
+    if (deadLinks.length > 0) {
+      console.error(`\n❌ ${deadLinks.length} dead link(s)`);
+      process.exit(1);
+    }
+    console.log('✅ All internal links resolve');
+  } catch (error) {
+    console.error('❌ Error:', error);
+    process.exit(1);
+  }
+}
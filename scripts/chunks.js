@@ -0,0 +1,212 @@
+import crypto from 'crypto';
+import { parseMarkdownTree, proseText, codeInfo } from './markdown.js';
+
+// ==========================================
+// RETRIEVAL CHUNKS (chunks.jsonl)
+// ==========================================
+
+export const DEFAULT_CHUNK_OPTIONS = {
+  maxTokens: 512,
+  overlapTokens: 64
+};
+
+/**
+ * Split every doc into token-bounded retrieval chunks along section
+ * boundaries. Prose and code keep their document order; code is attached
+ * to the chunk its prose lands in and only split when a block alone
+ * exceeds the budget.
+ */
+export function buildRetrievalChunks(docs, options = {}) {
+  const { maxTokens, overlapTokens } = { ...DEFAULT_CHUNK_OPTIONS, ...options };
+
+  if (overlapTokens >= maxTokens) {
+    throw new Error(`overlapTokens (${overlapTokens}) must be smaller than maxTokens (${maxTokens})`);
+  }
+
+  return docs.flatMap(doc => {
+    const headingStack = [];
+
+    return doc.sections.flatMap(section => {
+      while (headingStack.length && headingStack[headingStack.length - 1].level >= section.level) {
+        headingStack.pop();
+      }
+      headingStack.push(section);
+
+      // The intro section has no heading of its own
+      const headingPath = headingStack.filter(s => s.heading).map(s => s.heading);
+      const units = sectionUnits(section, maxTokens);
+      const parts = packUnits(units, maxTokens, overlapTokens);
+
+      return parts.map((part, index) => {
+        const record = {
+          slug: doc.slug,
+          title: doc.title,
+          sectionId: section.id,
+          headingPath,
+          url: section.url,
+          part: index,
+          parts: parts.length,
+          prose: part.prose,
+          code: part.code,
+          tokens: part.tokens
+        };
+
+        return {
+          id: `${doc.slug}#${section.id}:${index}`,
+          ...record,
+          hash: contentHash(record)
+        };
+      });
+    });
+  });
+}
+
+/**
+ * Rough token estimate (~4 characters per token for English and code)
+ */
+export function estimateTokens(text) {
+  return Math.ceil(text.length / 4);
+}
+
+/**
+ * Ordered prose and code units of a section, each within budget
+ */
+function sectionUnits(section, maxTokens) {
+  const tree = parseMarkdownTree(section.content);
+
+  return tree.children.flatMap(node => {
+    if (node.type === 'code') {
+      return splitByLines(node.value, maxTokens).map(code => ({
+        type: 'code',
+        language: codeInfo(node).language,
+        code,
+        tokens: estimateTokens(code)
+      }));
+    }
+
+    const text = proseText([node]);
+    if (!text) return [];
+
+    return splitByWords(text, maxTokens).map(prose => ({
+      type: 'prose',
+      text: prose,
+      tokens: estimateTokens(prose)
+    }));
+  });
+}
+
+/**
+ * Greedily pack units into chunks; each new chunk repeats the tail of
+ * the previous chunk's prose as overlap
+ */
+function packUnits(units, maxTokens, overlapTokens) {
+  const parts = [];
+  let current = emptyPart();
+
+  const flush = () => {
+    if (current.prose.length === 0 && current.code.length === 0) return;
+    parts.push(current);
+
+    const overlap = overlapTokens > 0 ? tailWords(current.prose.join('\n\n'), overlapTokens) : '';
+    current = emptyPart();
+    if (overlap) {
+      current.prose.push(overlap);
+      current.tokens = estimateTokens(overlap);
+      current.overlapOnly = true;
+    }
+  };
+
+  units.forEach(unit => {
+    if (current.tokens + unit.tokens > maxTokens && !current.overlapOnly) {
+      flush();
+    }
+
+    // Overlap must yield to real content that would not fit otherwise
+    if (current.overlapOnly && current.tokens + unit.tokens > maxTokens) {
+      current = emptyPart();
+    }
+
+    current.overlapOnly = false;
+    current.tokens += unit.tokens;
+
+    if (unit.type === 'code') {
+      current.code.push({ language: unit.language, code: unit.code });
+    } else {
+      current.prose.push(unit.text);
+    }
+  });
+
+  if (!current.overlapOnly) flush();
+
+  return parts.map(part => ({
+    prose: part.prose.join('\n\n'),
+    code: part.code,
+    tokens: part.tokens
+  }));
+}
+
+function emptyPart() {
+  return { prose: [], code: [], tokens: 0, overlapOnly: false };
+}
+
+function splitByWords(text, maxTokens) {
+  if (estimateTokens(text) <= maxTokens) return [text];
+
+  const pieces = [];
+  let piece = '';
+
+  text.split(/\s+/).forEach(word => {
+    const next = piece ? `${piece} ${word}` : word;
+    if (piece && estimateTokens(next) > maxTokens) {
+      pieces.push(piece);
+      piece = word;
+    } else {
+      piece = next;
+    }
+  });
+
+  if (piece) pieces.push(piece);
+  return pieces;
+}
+
+function splitByLines(code, maxTokens) {
+  if (estimateTokens(code) <= maxTokens) return [code];
+
+  const pieces = [];
+  let piece = [];
+
+  code.split('\n').forEach(line => {
+    if (piece.length && estimateTokens([...piece, line].join('\n')) > maxTokens) {
+      pieces.push(piece.join('\n'));
+      piece = [];
+    }
+    piece.push(line);
+  });
+
+  if (piece.length) pieces.push(piece.join('\n'));
+  return pieces;
+}
+
+function tailWords(text, tokens) {
+  const words = text.split(/\s+/).filter(Boolean);
+  const tail = [];
+
+  for (let i = words.length - 1; i >= 0; i--) {
+    if (estimateTokens([words[i], ...tail].join(' ')) > tokens) break;
+    tail.unshift(words[i]);
+  }
+
+  return tail.join(' ');
+}
+
+/**
+ * Stable hash of a chunk's identity and content
+ */
+function contentHash(record) {
+  const { slug, headingPath, prose, code } = record;
+  return crypto
+    .createHash('sha256')
+    .update(JSON.stringify({ slug, headingPath, prose, code }))
+    .digest('hex')
+    .slice(0, 16);
+}
@@ -0,0 +1,232 @@
+import fs from 'fs';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import Ajv2020 from 'ajv/dist/2020.js';
+import { DEFAULT_CHUNK_OPTIONS } from './chunks.js';
+
+// ==========================================
+// GENERATOR CONFIGURATION
+// ==========================================
+
+// Looked up in the project root (the docs directory's parent)
+export const CONFIG_FILES = ['stunk-docs.config.js', 'stunk-docs.config.json'];
+
+/**
+ * Every option with its default. A config file overrides any subset:
+ *
+ *   // stunk-docs.config.js
+ *   export default {
+ *     exclude: ['public/**', 'drafts/**'],
+ *     outputs: { chunks: false },
+ *     fields: { fullContent: false },
+ *     keywordLimit: 30
+ *   };
+ *
+ * - `docsDir`/`outDir` are relative to the project root and only used by the
+ *   CLIs; callers of generateLLMOptimizedAPI pass their own directories
+ * - `include`/`exclude` are globs over page paths relative to `docsDir`
+ *   (`*`, `**`, `?`, `{a,b}`); excluded pages are never read. `excludePages`
+ *   (slugs) and `excludeOrphans` drop parsed pages, which coverage.json still reports
+ * - `baseUrl` is where `outDir` is served; every route and `$schema` URL starts with it
+ * - `outputs` turns optional files off; index.json, categories, routes.json,
+ *   metadata.json and the per-doc files are always written. Without `search`,
+ *   serve-api.js answers 501 and the MCP server errors on search
+ * - `fields` drops bulky fields from the per-doc files (the MCP server's page
+ *   content needs `fullContent`)
+ * - `examples` configures docs:check-examples: packages auto-imported into
+ *   snippets, preludes keyed by page slug ('*' for every page) declaring the
+ *   variables snippets assume, one declaration per line, and TypeScript
+ *   diagnostic codes never reported
+ */
+export const DEFAULT_CONFIG = {
+  docsDir: 'docs',
+  outDir: 'docs/public/api',
+  baseUrl: '/api',
+  include: ['**/*.md'],
+  exclude: ['**/.*/**', '**/node_modules/**', 'public/**'],
+  excludePages: [],
+  excludeOrphans: false,
+  outputs: {
+    search: true,
+    chunks: true,
+    symbols: true,
+    xref: true,
+    coverage: true,
+    recentlyUpdated: true,
+    schemas: true,
+    openapi: true,
+    llmsTxt: true
+  },
+  fields: {
+    fullContent: true,
+    frontmatter: true,
+    tables: true,
+    admonitions: true,
+    embeds: true,
+    tableOfContents: true
+  },
+  summaryLength: 200,
+  keywordLimit: 20,
+  wordsPerMinute: 200,
+  chunks: DEFAULT_CHUNK_OPTIONS,
+  examples: {
+    autoImport: ['stunk', 'stunk/react', 'stunk/middleware', 'react'],
+    preludes: {},
+    ignore: []
+  }
+};
+
+const globs = { type: 'array', items: { type: 'string', minLength: 1 } };
+const switches = values => ({
+  type: 'object',
+  properties: Object.fromEntries(Object.keys(values).map(key => [key, { type: 'boolean' }])),
+  additionalProperties: false
+});
+
+const CONFIG_SCHEMA = {
+  type: 'object',
+  properties: {
+    docsDir: { type: 'string', minLength: 1 },
+    outDir: { type: 'string', minLength: 1 },
+    baseUrl: { type: 'string', pattern: '^/([^/].*[^/]|[^/])?$', description: 'Leading slash, no trailing slash' },
+    include: globs,
+    exclude: globs,
+    excludePages: { type: 'array', items: { type: 'string' } },
+    excludeOrphans: { type: 'boolean' },
+    outputs: switches(DEFAULT_CONFIG.outputs),
+    fields: switches(DEFAULT_CONFIG.fields),
+    summaryLength: { type: 'integer', minimum: 4 },
+    keywordLimit: { type: 'integer', minimum: 0 },
+    wordsPerMinute: { type: 'integer', minimum: 1 },
+    chunks: {
+      type: 'object',
+      properties: {
+        maxTokens: { type: 'integer', minimum: 1 },
+        overlapTokens: { type: 'integer', minimum: 0 }
+      },
+      additionalProperties: false
+    },
+    examples: {
+      type: 'object',
+      properties: {
+        autoImport: { type: 'array', items: { type: 'string', minLength: 1 } },
+        preludes: { type: 'object', additionalProperties: { type: 'string' } },
+        ignore: { type: 'array', items: { type: 'integer', minimum: 1 } }
+      },
+      additionalProperties: false
+    }
+  },
+  additionalProperties: false
+};
+
+/**
+ * Find and load the config file in `rootDir` (or `configFile`, relative to it)
+ * Returns { file, config } with the resolved config; `file` is null when
+ * there is no config file and the defaults apply.
+ */
+export async function loadConfig(rootDir, configFile) {
+  const candidates = configFile
+    ? [path.resolve(rootDir, configFile)]
+    : CONFIG_FILES.map(name => path.join(rootDir, name)).filter(file => fs.existsSync(file));
+
+  if (candidates.length > 1) {
+    throw new Error(`Found both ${CONFIG_FILES.join(' and ')} in ${rootDir}; keep one`);
+  }
+
+  const [file] = candidates;
+  if (!file) return { file: null, config: resolveConfig({}, rootDir) };
+
+  // ESM imports are cached by URL; the mtime in the query makes an edited
+  // JS config load again (the watcher reloads it on every change)
+  const userConfig = path.extname(file) === '.json'
+    ? JSON.parse(fs.readFileSync(file, 'utf-8'))
+    : (await import(`${pathToFileURL(file).href}?mtime=${fs.statSync(file).mtimeMs}`)).default;
+
+  return { file, config: resolveConfig(userConfig, rootDir, path.relative(rootDir, file)) };
+}
+
+/**
+ * Validate a config object and fill in the defaults; directories become
+ * absolute against `rootDir`. Resolving a resolved config returns an equal one.
+ * Throws listing every invalid option.
+ */
+export function resolveConfig(userConfig = {}, rootDir = process.cwd(), source = 'docs config') {
+  const validate = new Ajv2020({ allErrors: true }).compile(CONFIG_SCHEMA);
+
+  if (!validate(userConfig)) {
+    const details = validate.errors.map(error => {
+      const option = error.params?.additionalProperty
+        ? `${error.instancePath}/${error.params.additionalProperty}`
+        : error.instancePath;
+      const message = error.params?.additionalProperty ? 'is not a known option' : error.message;
+      return `  ${option.slice(1).replace(/\//g, '.') || '(root)'} ${message}`;
+    }).join('\n');
+    throw new Error(`${validate.errors.length} invalid option(s) in ${source}:\n${details}`);
+  }
+
+  const config = {
+    ...DEFAULT_CONFIG,
+    ...userConfig,
+    outputs: { ...DEFAULT_CONFIG.outputs, ...userConfig.outputs },
+    fields: { ...DEFAULT_CONFIG.fields, ...userConfig.fields },
+    chunks: { ...DEFAULT_CONFIG.chunks, ...userConfig.chunks },
+    examples: { ...DEFAULT_CONFIG.examples, ...userConfig.examples }
+  };
+
+  return {
+    ...config,
+    docsDir: path.resolve(rootDir, config.docsDir),
+    outDir: path.resolve(rootDir, config.outDir)
+  };
+}
+
+/**
+ * Whether a page path (relative to the docs directory) passes the include/exclude globs
+ */
+export function isIncluded(relativePath, { include, exclude }) {
+  const file = relativePath.split(path.sep).join('/');
+  return include.some(glob => globToRegExp(glob).test(file)) &&
+    !exclude.some(glob => globToRegExp(glob).test(file));
+}
+
+/**
+ * Whether the exclude globs cover everything under a directory, so it can be skipped
+ */
+export function isExcludedDir(relativePath, { exclude }) {
+  const probe = `${relativePath.split(path.sep).join('/')}/_/_`;
+  return exclude.some(glob => globToRegExp(glob).test(probe));
+}
+
+/**
+ * Helper: Glob to RegExp; `**` spans directories, `*` and `?` stay within one
+ */
+export function globToRegExp(glob) {
+  let source = '';
+  let braces = 0;
+
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+
+    if (char === '*' && glob[i + 1] === '*') {
+      const slash = glob[i + 2] === '/';
+      source += slash ? '(?:.*/)?' : '.*';
+      i += slash ? 2 : 1;
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '{') {
+      braces++;
+      source += '(?:';
+    } else if (char === '}' && braces > 0) {
+      braces--;
+      source += ')';
+    } else if (char === ',' && braces > 0) {
+      source += '|';
+    } else {
+      source += char.replace(/[.+^$()|[\]\\{}]/g, '\\$&');
+    }
+  }
+
+  return new RegExp(`^${source}$`);
+}
@@ -0,0 +1,117 @@
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { getMarkdownFiles, parseMarkdownForLLM } from './api.js';
+import { loadConfig } from './config.js';
+import { frontmatterLinks, linkToSlug, loadSiteConfig, pagePath, resolveLink } from './site.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// ==========================================
+// SIDEBAR COVERAGE REPORT (coverage.json)
+// ==========================================
+
+/**
+ * Compare the pages on disk against the sidebar and nav:
+ * - orphans: pages neither listed nor linked from any other page
+ * - unlisted: pages missing from sidebar and nav, but linked from a page
+ * - missing: sidebar/nav entries with no page behind them
+ * - duplicates: pages listed more than once in the sidebar or in the nav
+ *
+ * The home page (index) always counts as listed.
+ */
+export function buildCoverageReport(docs, site) {
+  const bySlug = new Map(docs.map(doc => [doc.slug, doc]));
+  const entries = [
+    ...site.sidebar.map(entry => ({ source: 'sidebar', ...entry })),
+    ...site.nav.map(entry => ({ source: 'nav', groups: [], ...entry }))
+  ]
+    .map(entry => ({ ...entry, slug: linkToSlug(entry.link) }))
+    .filter(entry => entry.slug !== null);
+
+  const listed = new Set(['index', ...entries.map(entry => entry.slug)]);
+
+  // Inbound links between pages, self-links aside
+  const linkedFrom = new Map();
+  docs.forEach(doc => {
+    const urls = [
+      ...frontmatterLinks(doc.frontmatter).map(link => link.url),
+      ...doc.sections.flatMap(section => section.links.map(link => link.url))
+    ];
+
+    urls.forEach(url => {
+      const target = resolveLink(url, doc.slug);
+      const slug = target && linkToSlug(target.pathname);
+      if (!slug || slug === doc.slug || !bySlug.has(slug)) return;
+
+      if (!linkedFrom.has(slug)) linkedFrom.set(slug, new Set());
+      linkedFrom.get(slug).add(doc.slug);
+    });
+  });
+
+  const page = doc => ({ slug: doc.slug, path: doc.path, url: pagePath(doc.slug), title: doc.title });
+  const unlistedDocs = docs.filter(doc => !listed.has(doc.slug));
+
+  const duplicates = ['sidebar', 'nav'].flatMap(source => {
+    const bySource = new Map();
+    entries
+      .filter(entry => entry.source === source)
+      .forEach(entry => bySource.set(entry.slug, [...(bySource.get(entry.slug) || []), entry]));
+
+    return [...bySource]
+      .filter(([, listings]) => listings.length > 1)
+      .map(([slug, listings]) => ({
+        source,
+        slug,
+        entries: listings.map(({ text, link, groups }) => ({ text, link, groups }))
+      }));
+  });
+
+  return {
+    totalPages: docs.length,
+    listedPages: docs.filter(doc => listed.has(doc.slug)).length,
+    orphans: unlistedDocs.filter(doc => !linkedFrom.has(doc.slug)).map(page),
+    unlisted: unlistedDocs
+      .filter(doc => linkedFrom.has(doc.slug))
+      .map(doc => ({ ...page(doc), linkedFrom: [...linkedFrom.get(doc.slug)].sort() })),
+    missing: entries
+      .filter(entry => !bySlug.has(entry.slug))
+      .map(({ source, text, link, groups }) => ({ source, text, link, groups })),
+    duplicates
+  };
+}
+
+// Run if executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  try {
+    const { config } = await loadConfig(path.join(__dirname, '..'));
+
+    console.log('🗺️  Checking sidebar and nav coverage...\n');
+    const docs = getMarkdownFiles(config.docsDir, config)
+      .map(({ fullPath, relativePath }) => parseMarkdownForLLM(fullPath, relativePath));
+    const report = buildCoverageReport(docs, await loadSiteConfig(config.docsDir));
+
+    report.orphans.forEach(({ path: file }) => {
+      console.log(`${file} - orphan: not in the sidebar or nav, and no page links to it`);
+    });
+    report.unlisted.forEach(({ path: file, linkedFrom }) => {
+      console.log(`${file} - not in the sidebar or nav (linked from ${linkedFrom.join(', ')})`);
+    });
+    report.missing.forEach(({ source, text, link }) => {
+      console.log(`${source} "${text}" → ${link} - no such page`);
+    });
+    report.duplicates.forEach(({ source, slug, entries }) => {
+      console.log(`${source} lists ${pagePath(slug)} ${entries.length} times (${entries.map(entry => entry.text).join(', ')})`);
+    });
+
+    console.log(`\n📊 ${report.listedPages} of ${report.totalPages} pages listed in the sidebar or nav`);
+    const problems = report.orphans.length + report.missing.length + report.duplicates.length;
+    if (problems > 0) {
+      console.error(`❌ ${report.orphans.length} orphan(s), ${report.missing.length} missing, ${report.duplicates.length} duplicate(s)`);
+      process.exit(1);
+    }
+    console.log('✅ Every page is reachable from the sidebar or nav');
+  } catch (error) {
+    console.error('❌ Error:', error);
+    process.exit(1);
+  }
+}
@@ -0,0 +1,265 @@
+import fs from 'fs';
+import path from 'path';
+import util from 'util';
+import vm from 'vm';
+import { fileURLToPath } from 'url';
+import ts from 'typescript';
+import { frontmatterLines, getMarkdownFiles, parseMarkdownForLLM } from './api.js';
+import { missingImports } from './check-examples.js';
+import { DEFAULT_CONFIG, loadConfig } from './config.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// ==========================================
+// DOCTESTS
+// ==========================================
+
+export const DEFAULT_DOCTEST_OPTIONS = {
+  // Modules a doctest may import; snippets that use their exports without
+  // importing them get the import added
+  modules: ['stunk', 'stunk/middleware'],
+  // Per-block limit, including pending promises and timers
+  timeout: 2000,
+  // Page globs relative to docsDir; the CLI takes them from the config
+  include: DEFAULT_CONFIG.include,
+  exclude: DEFAULT_CONFIG.exclude
+};
+
+// Fence meta that marks a block as a doctest: ```ts doctest
+const DOCTEST_META = /\bdoctest\b/;
+
+// `// Logs: text` or `// → text`, after a statement or on the lines below it
+const ANNOTATION = /\/\/\s*(Logs:|→)\s*(.*)$/;
+
+// Console methods whose output is compared against annotations
+const OUTPUT_METHODS = ['log', 'info', 'warn', 'error', 'debug'];
+
+/**
+ * Run every code block marked `doctest` in a Node VM and compare what each
+ * top-level statement logs or evaluates to against its annotations:
+ *
+ *   counter.set(10); // Logs: Counter: 10
+ *   counter.get();   // → 10
+ *
+ * `// Logs:` expects console output. `// →` expects the output when the
+ * statement logs, its value otherwise. Unannotated statements still run.
+ *
+ * Returns { blocks, failures: [{ file, line, message }] }
+ */
+export async function runDoctests(docsDir, options = {}) {
+  const { modules, timeout, include, exclude } = { ...DEFAULT_DOCTEST_OPTIONS, ...options };
+  const rootDir = path.resolve(docsDir, '..');
+  const loaded = new Map();
+
+  for (const name of modules) {
+    loaded.set(name, await import(name));
+  }
+  const exportsByModule = new Map([...loaded].map(([name, namespace]) => [name, Object.keys(namespace)]));
+
+  const blocks = getMarkdownFiles(docsDir, { include, exclude }).flatMap(({ fullPath, relativePath }) => {
+    const doc = parseMarkdownForLLM(fullPath, relativePath);
+    const lineOffset = frontmatterLines(fs.readFileSync(fullPath, 'utf-8'));
+
+    return doc.codeExamples
+      .filter(block => DOCTEST_META.test(block.meta || ''))
+      .map(block => ({
+        file: path.relative(rootDir, fullPath),
+        firstLine: block.lineNumber + lineOffset + 1,
+        jsx: block.language === 'tsx' || block.language === 'jsx',
+        code: block.code
+      }));
+  });
+
+  const failures = [];
+  for (const block of blocks) {
+    const blockFailures = await runBlock(block, { loaded, exportsByModule, timeout });
+    failures.push(...blockFailures.map(({ line, message }) => ({
+      file: block.file,
+      line: block.firstLine + line - 1,
+      message
+    })));
+  }
+
+  return { blocks: blocks.length, failures };
+}
+
+/**
+ * Helper: Instrument, transpile and run one block
+ * Failures carry 1-based lines within the block
+ */
+async function runBlock(block, { loaded, exportsByModule, timeout }) {
+  const imports = missingImports(block.code, exportsByModule);
+  const source = instrument(block.code);
+  const expectations = collectExpectations(block.code, source.statements);
+
+  // Line numbers are baked into the instrumentation, so imports can go first
+  const { outputText } = ts.transpileModule(`${imports.join('\n')}\n${source.code}`, {
+    fileName: block.jsx ? 'doctest.tsx' : 'doctest.ts',
+    compilerOptions: { module: ts.ModuleKind.CommonJS, target: ts.ScriptTarget.ES2022, jsx: ts.JsxEmit.ReactJSX }
+  });
+
+  const results = new Map();
+  let current = null;
+  const record = line => {
+    if (!results.has(line)) results.set(line, { logs: [], value: undefined, hasValue: false });
+    return results.get(line);
+  };
+  const capture = (...args) => {
+    if (current !== null) record(current).logs.push(util.format(...args));
+  };
+
+  // Output methods are captured, the rest of console (time, table...) is a no-op
+  const sandboxConsole = Object.fromEntries(Object.keys(console).map(method => [method, () => {}]));
+  OUTPUT_METHODS.forEach(method => {
+    sandboxConsole[method] = capture;
+  });
+
+  const context = vm.createContext({
+    console: sandboxConsole,
+    require: name => {
+      if (!loaded.has(name)) throw new Error(`Cannot import "${name}" in a doctest`);
+      return loaded.get(name);
+    },
+    exports: {},
+    setTimeout,
+    clearTimeout,
+    __doctest: {
+      enter: line => {
+        current = line;
+        record(line);
+      },
+      value: (line, value) => {
+        Object.assign(record(line), { value, hasValue: true });
+        return value;
+      }
+    }
+  });
+
+  // Imported modules live in this realm and log through its console (the
+  // stunk/middleware logger), so capture that too while the block runs
+  const hostConsole = Object.fromEntries(OUTPUT_METHODS.map(method => [method, console[method]]));
+  OUTPUT_METHODS.forEach(method => {
+    console[method] = capture;
+  });
+
+  try {
+    const run = vm.runInContext(`(async () => {\n${outputText}\n})()`, context, { timeout });
+    await Promise.race([
+      run,
+      new Promise((resolve, reject) => setTimeout(() => reject(new Error(`Timed out after ${timeout}ms`)), timeout).unref())
+    ]);
+  } catch (error) {
+    return [{ line: current ?? 1, message: `Threw ${error?.message || error}` }];
+  } finally {
+    Object.assign(console, hostConsole);
+  }
+
+  return expectations.flatMap(({ line, kind, expected }) => {
+    const result = results.get(line);
+    if (!result) return [{ line, message: 'Statement never ran' }];
+
+    const actual = result.logs.join('\n');
+    const matches = kind === 'Logs:' || result.logs.length > 0
+      ? actual === expected.join('\n')
+      : expected.length === 1 && sameValue(result.value, expected[0]);
+
+    if (matches) return [];
+
+    const shown = kind === 'Logs:' || result.logs.length > 0 || !result.hasValue
+      ? JSON.stringify(actual)
+      : util.inspect(result.value);
+    return [{ line, message: `Expected ${JSON.stringify(expected.join('\n'))}, got ${shown}` }];
+  });
+}
+
+/**
+ * Wrap each top-level statement so the runner knows which one is running
+ * and records expression values. Edits stay on the statement's own lines,
+ * so line numbers survive.
+ */
+function instrument(code) {
+  const sourceFile = ts.createSourceFile('doctest.ts', code, ts.ScriptTarget.ES2022, true);
+  const statements = [];
+  let instrumented = '';
+  let position = 0;
+
+  sourceFile.statements.forEach(statement => {
+    if (ts.isImportDeclaration(statement)) return;
+
+    const start = statement.getStart(sourceFile);
+    const end = statement.getEnd();
+    const line = sourceFile.getLineAndCharacterOfPosition(end).line + 1;
+    statements.push({ line, startLine: sourceFile.getLineAndCharacterOfPosition(start).line + 1 });
+
+    const text = ts.isExpressionStatement(statement)
+      ? `__doctest.value(${line}, (${statement.expression.getText(sourceFile)}));`
+      : statement.getText(sourceFile);
+
+    instrumented += `${code.slice(position, start)}__doctest.enter(${line}); ${text}`;
+    position = end;
+  });
+
+  return { code: instrumented + code.slice(position), statements };
+}
+
+/**
+ * Helper: Annotations keyed by the statement they describe
+ * A trailing comment belongs to the statement ending on its line; comment-only
+ * lines belong to the statement above and accumulate in order.
+ */
+function collectExpectations(code, statements) {
+  const expectations = new Map();
+  let owner = null;
+
+  code.split('\n').forEach((text, i) => {
+    const lineNumber = i + 1;
+    const statement = statements.find(s => s.line === lineNumber);
+    if (statement) owner = statement.line;
+    else if (statements.some(s => s.startLine <= lineNumber && lineNumber < s.line)) return;
+
+    const match = text.match(ANNOTATION);
+    if (!match || owner === null) return;
+
+    const expected = match[2].trim().replace(/^(["'`])(.*)\1$/, '$2');
+    if (!expectations.has(owner)) expectations.set(owner, { line: owner, kind: match[1], expected: [] });
+    expectations.get(owner).expected.push(expected);
+  });
+
+  return [...expectations.values()];
+}
+
+/**
+ * Compare a value against the annotation, as a JS literal when it parses
+ * as one (`[1, 2]`, `{ a: 1 }`, `"x"`) and as printed text otherwise.
+ * Values come from different realms, so compare their inspected form.
+ */
+function sameValue(value, expected) {
+  try {
+    return util.inspect(value) === util.inspect(vm.runInNewContext(`(${expected})`, {}, { timeout: 100 }));
+  } catch {
+    return String(value) === expected || util.inspect(value) === expected;
+  }
+}
+
+// Run if executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  try {
+    const { config } = await loadConfig(path.join(__dirname, '..'));
+
+    console.log('🧪 Running doctests...\n');
+    const { blocks, failures } = await runDoctests(config.docsDir, { include: config.include, exclude: config.exclude });
+
+    failures.forEach(({ file, line, message }) => {
+      console.log(`${file}:${line} - ${message}`);
+    });
+
+    if (failures.length > 0) {
+      console.error(`\n❌ ${failures.length} doctest failure(s) in ${blocks} block(s)`);
+      process.exit(1);
+    }
+    console.log(`✅ ${blocks} doctest block(s) passed`);
+  } catch (error) {
+    console.error('❌ Error:', error);
+    process.exit(1);
+  }
+}
@@ -0,0 +1,155 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import matter from 'gray-matter';
+import { getMarkdownFiles } from './api.js';
+import { loadConfig } from './config.js';
+import { sidebarCategories } from './navigation.js';
+import { COMPLEXITIES, CONTENT_TYPES } from './schemas.js';
+import { loadSiteConfig } from './site.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// ==========================================
+// FRONTMATTER SCHEMA
+// ==========================================
+
+/**
+ * Fields a docs page may declare. `type` is one type or a list of accepted
+ * types: string, number, boolean, date, object, array, string[] (a list of strings)
+ * Fields marked `vitepress` are read by VitePress only; the rest feed the API.
+ */
+export const FRONTMATTER_SCHEMA = {
+  title: { type: 'string', description: 'Page title; also the API title' },
+  description: { type: 'string', description: 'One-line description; replaces the generated summary' },
+  tags: { type: 'string[]', description: 'Added to the page keywords' },
+  category: { type: 'string', description: 'Overrides the category derived from the sidebar' },
+  contentType: { type: 'string', enum: CONTENT_TYPES, description: 'Overrides the detected content type' },
+  complexity: { type: 'string', enum: COMPLEXITIES, description: 'Overrides the estimated complexity' },
+
+  layout: { type: 'string', enum: ['doc', 'home', 'page'], vitepress: true },
+  hero: { type: 'object', vitepress: true },
+  features: { type: 'array', vitepress: true },
+  outline: { type: ['number', 'array', 'string', 'boolean'], vitepress: true },
+  aside: { type: ['boolean', 'string'], vitepress: true },
+  head: { type: 'array', vitepress: true },
+  titleTemplate: { type: ['string', 'boolean'], vitepress: true },
+  lastUpdated: { type: ['boolean', 'date'], vitepress: true },
+  editLink: { type: 'boolean', vitepress: true },
+  footer: { type: 'boolean', vitepress: true },
+  navbar: { type: 'boolean', vitepress: true },
+  sidebar: { type: 'boolean', vitepress: true },
+  prev: { type: ['string', 'object', 'boolean'], vitepress: true },
+  next: { type: ['string', 'object', 'boolean'], vitepress: true },
+  pageClass: { type: 'string', vitepress: true }
+};
+
+// Required fields by page kind; a page is `home` when it sets `layout: home`
+export const REQUIRED_FIELDS = {
+  home: ['hero'],
+  doc: ['title']
+};
+
+/**
+ * Validate the frontmatter of every page against FRONTMATTER_SCHEMA
+ * Returns every violation, not just the first: [{ file, line, field, message }]
+ * `file` is relative to the docs directory's parent, `line` is 1-based.
+ * `categories` (see sidebarCategories) restricts `category` to the site's own.
+ */
+export function validateFrontmatter(files, docsDir, { categories } = {}) {
+  const rootDir = path.resolve(docsDir, '..');
+  const schema = categories
+    ? { ...FRONTMATTER_SCHEMA, category: { ...FRONTMATTER_SCHEMA.category, enum: categories } }
+    : FRONTMATTER_SCHEMA;
+
+  return files.flatMap(fullPath => {
+    const file = path.relative(rootDir, fullPath);
+    const raw = fs.readFileSync(fullPath, 'utf-8');
+
+    let data;
+    try {
+      data = matter(raw).data;
+    } catch (error) {
+      // The YAML block starts with the newline after the opening ---, so its
+      // 0-based mark lines are one behind the file's 1-based lines
+      const line = error.mark ? error.mark.line + 1 : 1;
+      return [{ file, line, field: null, message: `unparseable frontmatter: ${error.reason || error.message}` }];
+    }
+
+    const lines = raw.split('\n');
+    const lineOf = field => {
+      const index = lines.findIndex(text => new RegExp(`^${field}\\s*:`).test(text));
+      return index === -1 ? 1 : index + 1;
+    };
+
+    const kind = data.layout === 'home' ? 'home' : 'doc';
+    const missing = REQUIRED_FIELDS[kind]
+      .filter(field => data[field] === undefined || data[field] === null || data[field] === '')
+      .map(field => ({ file, line: 1, field, message: `missing required field "${field}" (${kind} page)` }));
+
+    const invalid = Object.entries(data).flatMap(([field, value]) => {
+      const message = fieldViolation(schema, field, value);
+      return message ? [{ file, line: lineOf(field), field, message }] : [];
+    });
+
+    return [...missing, ...invalid];
+  });
+}
+
+/**
+ * Helper: What is wrong with one field, or null
+ */
+function fieldViolation(schema, field, value) {
+  const rule = schema[field];
+  if (!rule) return `unknown field "${field}"`;
+
+  const types = [rule.type].flat();
+  if (!types.some(type => hasType(value, type))) {
+    return `"${field}" must be ${types.join(' or ')}, got ${typeName(value)}`;
+  }
+
+  if (rule.enum && !rule.enum.includes(value)) {
+    return `"${field}" must be one of ${rule.enum.join(', ')}, got "${value}"`;
+  }
+
+  return null;
+}
+
+function hasType(value, type) {
+  if (type === 'string[]') return Array.isArray(value) && value.every(item => typeof item === 'string');
+  if (type === 'array') return Array.isArray(value);
+  if (type === 'object' || type === 'date') return typeName(value) === type;
+  return typeof value === type;
+}
+
+function typeName(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (value instanceof Date) return 'date';
+  return typeof value;
+}
+
+// Run if executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  try {
+    const { config } = await loadConfig(path.join(__dirname, '..'));
+
+    console.log('📋 Validating frontmatter...\n');
+    const files = getMarkdownFiles(config.docsDir, config).map(file => file.fullPath);
+    const site = await loadSiteConfig(config.docsDir);
+    const violations = validateFrontmatter(files, config.docsDir, { categories: sidebarCategories(site) });
+
+    violations.forEach(({ file, line, message }) => {
+      console.log(`${file}:${line} - ${message}`);
+    });
+
+    if (violations.length > 0) {
+      console.error(`\n❌ ${violations.length} frontmatter violation(s)`);
+      process.exit(1);
+    }
+    console.log(`✅ Frontmatter of ${files.length} pages is valid`);
+  } catch (error) {
+    console.error('❌ Error:', error);
+    process.exit(1);
+  }
+}
@@ -0,0 +1,103 @@
+import { execFileSync } from 'child_process';
+import path from 'path';
+
+// ==========================================
+// GIT PAGE HISTORY
+// ==========================================
+
+const RECORD = '\x1e';
+const FIELD = '\x1f';
+
+/**
+ * Read the commit history of `files` from the git repository around `dir`
+ * with one `git log` call. Renames are not followed, so a moved page's
+ * history starts at the move.
+ *
+ * Returns { shallow, files: Map<fullPath, { createdAt, lastModified, lastCommit,
+ * contributors, changeCount, dirty }> }, or null when git or the repository
+ * is unavailable. Files git does not track have no entry.
+ */
+export function readGitHistory(dir, files) {
+  let root;
+  let shallow;
+  let log;
+  let status;
+
+  try {
+    root = git(['rev-parse', '--show-toplevel'], dir).trim();
+    shallow = git(['rev-parse', '--is-shallow-repository'], dir).trim() === 'true';
+    log = git(['log', `--format=${RECORD}%H${FIELD}%aI${FIELD}%an${FIELD}%s`, '--name-only', '--no-renames', '--', '.'], dir);
+    status = git(['status', '--porcelain', '-z', '--', '.'], dir);
+  } catch {
+    return null;
+  }
+
+  const wanted = new Map(files.map(file => [path.relative(root, file).split(path.sep).join('/'), file]));
+  const history = new Map();
+
+  // Newest first: the first commit seen is the last edit, the last one the creation
+  log.split(RECORD).filter(Boolean).forEach(record => {
+    const [header, ...names] = record.split('\n');
+    const [hash, date, author, subject] = header.split(FIELD);
+    const commitDate = new Date(date).toISOString();
+
+    names.filter(name => wanted.has(name)).forEach(name => {
+      const file = wanted.get(name);
+      const entry = history.get(file) || {
+        createdAt: commitDate,
+        lastModified: commitDate,
+        lastCommit: { hash, subject },
+        contributors: new Map(),
+        changeCount: 0,
+        dirty: false
+      };
+
+      entry.createdAt = commitDate;
+      entry.changeCount++;
+      entry.contributors.set(author, (entry.contributors.get(author) || 0) + 1);
+      history.set(file, entry);
+    });
+  });
+
+  // Pages edited since the last commit. Entries are `XY path`; renames and
+  // copies are followed by a bare field holding the origin path, skipped here
+  const fields = status.split('\0');
+  for (let i = 0; i < fields.length; i++) {
+    const entry = fields[i];
+    if (!entry) continue;
+    if (/[RC]/.test(entry.slice(0, 2))) i++;
+
+    const file = wanted.get(entry.slice(3));
+    if (file && history.has(file)) history.get(file).dirty = true;
+  }
+
+  history.forEach(entry => {
+    entry.contributors = [...entry.contributors]
+      .map(([name, commits]) => ({ name, commits }))
+      .sort((a, b) => b.commits - a.commits || (a.name < b.name ? -1 : 1));
+  });
+
+  return { shallow, files: history };
+}
+
+/**
+ * Per-doc history fields; pages without git history (git unavailable,
+ * untracked) and uncommitted edits fall back to the file's mtime
+ */
+export function historyFields(entry, mtime) {
+  if (!entry) {
+    return { createdAt: null, lastModified: mtime, lastCommit: null, contributors: [], changeCount: 0 };
+  }
+
+  const { createdAt, lastModified, lastCommit, contributors, changeCount, dirty } = entry;
+  return { createdAt, lastModified: dirty ? mtime : lastModified, lastCommit, contributors, changeCount };
+}
+
+function git(args, cwd) {
+  return execFileSync('git', ['-c', 'core.quotePath=false', ...args], {
+    cwd,
+    encoding: 'utf-8',
+    maxBuffer: 64 * 1024 * 1024,
+    stdio: ['ignore', 'pipe', 'ignore']
+  });
+}
@@ -0,0 +1,80 @@
+import { toCleanMarkdown } from './markdown.js';
+import { linkToSlug, pagePath } from './site.js';
+
+// ==========================================
+// LLMS.TXT (https://llmstxt.org)
+// ==========================================
+
+/**
+ * Order docs the way a reader meets them: sidebar first, then nav-only pages
+ * Returns [{ doc, text, group }] with unresolvable links reported separately
+ */
+export function orderDocsForLLMs(docs, site) {
+  const bySlug = new Map(docs.map(doc => [doc.slug, doc]));
+  const seen = new Set();
+  const entries = [];
+  const unresolved = [];
+
+  const add = (link, text, group) => {
+    const slug = linkToSlug(link);
+    if (slug === null || seen.has(slug) || slug === 'index') return;
+
+    const doc = bySlug.get(slug);
+    if (!doc) {
+      unresolved.push(link);
+      return;
+    }
+
+    seen.add(slug);
+    entries.push({ doc, text: text || doc.title, group });
+  };
+
+  site.sidebar.forEach(item => add(item.link, item.text, item.groups[0] || 'Docs'));
+  site.nav.forEach(item => add(item.link, item.text, 'Reference'));
+
+  return { entries, unresolved };
+}
+
+/**
+ * /llms.txt: title, blockquote description, then H2 sections of links
+ */
+export function generateLLMsTxt(entries, site) {
+  const lines = [`# ${site.title}`, '', `> ${oneLine(site.description)}`, ''];
+  let currentGroup = null;
+
+  entries.forEach(({ doc, text, group }, i) => {
+    if (group !== currentGroup) {
+      lines.push(`## ${group}`, '');
+      currentGroup = group;
+    }
+
+    const note = oneLine(doc.description || doc.summary);
+    lines.push(`- [${text}](${pageUrl(site, doc)})${note ? `: ${note}` : ''}`);
+
+    if (entries[i + 1]?.group !== group) lines.push('');
+  });
+
+  return lines.join('\n');
+}
+
+/**
+ * /llms-full.txt: every page's cleaned markdown in reading order
+ */
+export function generateLLMsFullTxt(entries, site) {
+  const header = [`# ${site.title}`, '', `> ${oneLine(site.description)}`].join('\n');
+  const pages = entries.map(({ doc }) =>
+    `${toCleanMarkdown(doc.fullContent)}\n\nSource: ${pageUrl(site, doc)}`
+  );
+
+  return [header, ...pages].join('\n\n---\n\n') + '\n';
+}
+
+function pageUrl(site, doc) {
+  return `${site.siteUrl}${pagePath(doc.slug)}`;
+}
+
+function oneLine(text) {
+  const flat = (text || '').replace(/\s+/g, ' ').trim();
+  const sentence = flat.match(/^.+?[.!?](?=\s|$)/);
+  return sentence ? sentence[0] : flat;
+}
@@ -0,0 +1,452 @@
+import { unified } from 'unified';
+import remarkParse from 'remark-parse';
+import remarkGfm from 'remark-gfm';
+import { toString } from 'mdast-util-to-string';
+import { visit, SKIP } from 'unist-util-visit';
+
+// ==========================================
+// MARKDOWN AST (mdast, CommonMark + GFM)
+// ==========================================
+
+const processor = unified().use(remarkParse).use(remarkGfm);
+
+const CONTAINER_OPEN = /^:::[ \t]*([\w-]+)[ \t]*(.*)$/;
+const CONTAINER_CLOSE = /(^|\n)[ \t]*:::[ \t]*$/;
+const EMBED_TAGS = ['iframe', 'video', 'audio', 'embed', 'object'];
+const NON_PROSE = new Set(['code', 'html', 'definition', 'yaml', 'thematicBreak']);
+const CUSTOM_ANCHOR = /\s*\{#([^\s}]+)\}\s*$/;
+
+/**
+ * Parse markdown into an mdast tree
+ * VitePress containers (`::: tip`) become `container` nodes
+ */
+export function parseMarkdownTree(markdown) {
+  const tree = processor.parse(markdown);
+  groupContainers(tree);
+  return tree;
+}
+
+/**
+ * Plain prose text of block nodes, without code or raw HTML
+ */
+export function proseText(nodes) {
+  return nodes.map(blockText).filter(Boolean).join('\n\n');
+}
+
+/**
+ * Text of an inline tree; hard breaks become newlines
+ */
+export function inlineText(node) {
+  if (node.type === 'break') return '\n';
+  if (node.type === 'image') return node.alt || '';
+  if (node.children) return node.children.map(inlineText).join('');
+  return node.value || '';
+}
+
+function blockText(node) {
+  if (NON_PROSE.has(node.type)) return '';
+  if (node.type === 'table') {
+    return node.children
+      .map(row => row.children.map(cell => toString(cell)).join(' | '))
+      .join('\n');
+  }
+  if (node.type === 'list') {
+    return node.children.map(blockText).filter(Boolean).join('\n');
+  }
+  if (node.children && node.type !== 'paragraph' && node.type !== 'heading') {
+    return proseText(node.children);
+  }
+  return inlineText(node);
+}
+
+/**
+ * Fenced and indented code blocks, in document order
+ */
+export function collectCode(nodes) {
+  const blocks = [];
+
+  visit(asRoot(nodes), 'code', node => {
+    blocks.push({
+      ...codeInfo(node),
+      code: node.value,
+      lineCount: node.value ? node.value.split('\n').length : 0,
+      lineNumber: node.position.start.line
+    });
+  });
+
+  return blocks;
+}
+
+/**
+ * Language and meta of a code node
+ * VitePress line options ride on the lang: ```js{4} or ```ts:line-numbers
+ */
+export function codeInfo(node) {
+  const [, language, options] = (node.lang || '').match(/^([^{:]*)(.*)$/);
+  const meta = [options, node.meta].filter(Boolean).join(' ');
+
+  return { language: language || 'plaintext', meta: meta || null };
+}
+
+/**
+ * Lists with nested items preserved
+ */
+export function collectLists(nodes) {
+  const lists = [];
+
+  visit(asRoot(nodes), 'list', node => {
+    lists.push(toListOutline(node));
+    return SKIP;
+  });
+
+  return lists;
+}
+
+function toListOutline(list) {
+  return {
+    ordered: Boolean(list.ordered),
+    start: list.ordered ? list.start ?? 1 : null,
+    lineNumber: list.position.start.line,
+    items: list.children.map(item => {
+      const outline = {
+        text: proseText(item.children.filter(child => child.type !== 'list')),
+        children: item.children
+          .filter(child => child.type === 'list')
+          .flatMap(child => toListOutline(child).items)
+      };
+      if (typeof item.checked === 'boolean') outline.checked = item.checked;
+      return outline;
+    })
+  };
+}
+
+/**
+ * Inline and reference-style links, resolved against definitions
+ */
+export function collectLinks(nodes, definitions) {
+  const links = [];
+
+  visit(asRoot(nodes), ['link', 'linkReference'], node => {
+    const lineNumber = node.position.start.line;
+
+    if (node.type === 'link') {
+      links.push({ text: toString(node), url: node.url, lineNumber });
+      return;
+    }
+
+    const definition = definitions.get(node.identifier);
+    if (definition) {
+      links.push({ text: toString(node) || node.label, url: definition.url, reference: node.label, lineNumber });
+    }
+  });
+
+  return links;
+}
+
+/**
+ * Link reference definitions keyed by normalized identifier
+ */
+export function collectDefinitions(tree) {
+  const definitions = new Map();
+
+  visit(tree, 'definition', node => {
+    if (!definitions.has(node.identifier)) {
+      definitions.set(node.identifier, { url: node.url, title: node.title || null });
+    }
+  });
+
+  return definitions;
+}
+
+/**
+ * Anchor ids for every heading, keyed by node, as VitePress assigns them:
+ * slugify() over the heading's text and inline code (markup, HTML and images
+ * dropped), `{#custom-id}` taken verbatim, repeats suffixed -1, -2, ...
+ */
+export function headingSlugs(tree) {
+  const slugs = new Map();
+  const used = new Set();
+
+  visit(tree, 'heading', node => {
+    const text = anchorText(node);
+    const custom = text.match(CUSTOM_ANCHOR);
+    const base = custom ? custom[1] : slugify(text);
+
+    let slug = base;
+    for (let i = 1; !custom && used.has(slug); i++) slug = `${base}-${i}`;
+
+    used.add(slug);
+    slugs.set(node, slug);
+  });
+
+  return slugs;
+}
+
+/**
+ * VitePress's slugify (@mdit-vue/shared)
+ */
+export function slugify(text) {
+  return text
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[\u0000-\u001f]/g, '')
+    .replace(/[\s~`!@#$%^&*()\-_+=[\]{}|\\;:"'“”‘’<>,.?/]+/g, '-')
+    .replace(/-{2,}/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .replace(/^(\d)/, '_$1')
+    .toLowerCase();
+}
+
+function anchorText(node) {
+  if (node.type === 'text' || node.type === 'inlineCode') return node.value;
+  if (node.children) return node.children.map(anchorText).join('');
+  return '';
+}
+
+/**
+ * GFM tables as header/row cell text
+ */
+export function collectTables(nodes) {
+  const tables = [];
+
+  visit(asRoot(nodes), 'table', node => {
+    const [head, ...body] = node.children.map(row =>
+      row.children.map(cell => toString(cell))
+    );
+
+    tables.push({
+      headers: head || [],
+      rows: body,
+      align: node.align || [],
+      lineNumber: node.position.start.line
+    });
+  });
+
+  return tables;
+}
+
+/**
+ * VitePress custom containers (tip, warning, danger, details...)
+ */
+export function collectAdmonitions(nodes) {
+  const admonitions = [];
+
+  visit(asRoot(nodes), 'container', node => {
+    admonitions.push({
+      kind: node.kind,
+      title: node.title || null,
+      content: proseText(node.children),
+      lineNumber: node.position.start.line
+    });
+  });
+
+  return admonitions;
+}
+
+/**
+ * Embedded media from raw HTML blocks (iframes, video, audio...)
+ */
+export function collectEmbeds(nodes) {
+  const embeds = [];
+  const tagPattern = new RegExp(`<(${EMBED_TAGS.join('|')})\\b([^>]*)>`, 'gi');
+
+  visit(asRoot(nodes), 'html', node => {
+    for (const [, tag, rawAttributes] of node.value.matchAll(tagPattern)) {
+      const attributes = parseAttributes(rawAttributes);
+      const src = attributes.src || attributes.data;
+      if (!src) continue;
+
+      embeds.push({
+        type: tag.toLowerCase(),
+        src,
+        title: attributes.title || null,
+        width: attributes.width || null,
+        height: attributes.height || null,
+        lineNumber: node.position.start.line
+      });
+    }
+  });
+
+  return embeds;
+}
+
+function parseAttributes(raw) {
+  const attributes = {};
+  const pattern = /([\w:-]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+)))?/g;
+
+  for (const [, name, doubleQuoted, singleQuoted, bare] of raw.matchAll(pattern)) {
+    attributes[name.toLowerCase()] = doubleQuoted ?? singleQuoted ?? bare ?? true;
+  }
+
+  return attributes;
+}
+
+/**
+ * Blocks in document order with containers that hold headings opened up:
+ * each heading comes out on its own and the blocks around it stay wrapped
+ * in containers of the same kind, so every heading can start a section
+ */
+export function splitAtHeadings(nodes) {
+  return nodes.flatMap(node => {
+    if (node.type !== 'container' || !hasHeading(node)) return [node];
+
+    const blocks = [];
+    let run = [];
+
+    const flush = last => {
+      if (run.length) {
+        blocks.push({
+          ...node,
+          children: run,
+          position: {
+            start: blocks.length ? run[0].position.start : node.position.start,
+            end: last ? node.position.end : run[run.length - 1].position.end
+          }
+        });
+      }
+      run = [];
+    };
+
+    splitAtHeadings(node.children).forEach(child => {
+      if (child.type !== 'heading') {
+        run.push(child);
+        return;
+      }
+      flush(false);
+      blocks.push(child);
+    });
+    flush(true);
+
+    return blocks;
+  });
+}
+
+function hasHeading(node) {
+  let found = false;
+  visit(node, 'heading', () => {
+    found = true;
+    return false;
+  });
+  return found;
+}
+
+function asRoot(nodes) {
+  return Array.isArray(nodes) ? { type: 'root', children: nodes } : nodes;
+}
+
+/**
+ * Helper: Fold `::: kind` ... `:::` paragraphs and their siblings into
+ * container nodes. markdown-it-container syntax is not CommonMark, so the
+ * markers arrive as paragraph text (lazily joined with adjacent lines).
+ */
+function groupContainers(parent) {
+  if (!parent.children) return;
+
+  const children = [];
+
+  for (let i = 0; i < parent.children.length; i++) {
+    const node = parent.children[i];
+    const open = matchContainerOpen(node);
+
+    if (!open) {
+      groupContainers(node);
+      children.push(node);
+      continue;
+    }
+
+    const container = {
+      type: 'container',
+      kind: open.kind,
+      title: open.title,
+      children: [],
+      position: { start: node.position.start, end: node.position.end }
+    };
+
+    let current = open.rest;
+    let j = i;
+
+    while (true) {
+      if (current) {
+        container.position.end = current.position.end;
+
+        const close = splitContainerClose(current);
+        if (close) {
+          if (close.before) container.children.push(close.before);
+          break;
+        }
+        container.children.push(current);
+      }
+
+      if (++j >= parent.children.length) break;
+      current = parent.children[j];
+    }
+
+    i = j;
+    groupContainers(container);
+    children.push(container);
+  }
+
+  parent.children = children;
+}
+
+function matchContainerOpen(node) {
+  if (node.type !== 'paragraph' || node.children[0]?.type !== 'text') return null;
+
+  const [first, ...others] = node.children;
+  const newline = first.value.indexOf('\n');
+  const firstLine = newline === -1 ? first.value : first.value.slice(0, newline);
+  const match = firstLine.match(CONTAINER_OPEN);
+  if (!match) return null;
+
+  const remaining = newline === -1 ? '' : first.value.slice(newline + 1);
+  const inline = remaining ? [{ ...first, value: remaining }, ...others] : others;
+
+  return {
+    kind: match[1].toLowerCase(),
+    title: match[2].trim(),
+    rest: inline.length ? { ...node, children: inline } : null
+  };
+}
+
+function splitContainerClose(node) {
+  if (node.type !== 'paragraph') return null;
+
+  const last = node.children[node.children.length - 1];
+  if (last?.type !== 'text' || !CONTAINER_CLOSE.test(last.value)) return null;
+
+  const remaining = last.value.replace(CONTAINER_CLOSE, '');
+  const inline = remaining
+    ? [...node.children.slice(0, -1), { ...last, value: remaining }]
+    : node.children.slice(0, -1);
+
+  return { before: inline.length ? { ...node, children: inline } : null };
+}
+
+/**
+ * Markdown cleaned for plain-text consumers (llms-full.txt)
+ * Raw HTML is dropped, embeds become links and VitePress containers
+ * become blockquotes
+ */
+export function toCleanMarkdown(markdown) {
+  const tree = parseMarkdownTree(markdown);
+
+  const blocks = tree.children.flatMap(node => {
+    const source = markdown.slice(node.position.start.offset, node.position.end.offset);
+
+    if (node.type === 'html') {
+      return collectEmbeds([node]).map(embed => `[Embedded ${embed.type}](${embed.src})`);
+    }
+
+    if (node.type === 'container') {
+      const body = source.split('\n').slice(1);
+      if (CONTAINER_CLOSE.test(body[body.length - 1] || '')) body.pop();
+
+      const label = node.title || node.kind.toUpperCase();
+      return [[`**${label}**`, '', ...body].map(line => line ? `> ${line}` : '>').join('\n')];
+    }
+
+    return [source];
+  });
+
+  return blocks.join('\n\n').trim();
+}
@@ -0,0 +1,83 @@
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { StdioClientTransport } from '@modelcontextprotocol/sdk/client/stdio.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// ==========================================
+// MCP CLIENT HARNESS
+// ==========================================
+
+const EXPECTED_TOOLS = ['search_docs', 'get_doc', 'get_section', 'list_code_examples', 'get_api_signature'];
+
+/**
+ * Spawn the stdio MCP server, exercise every tool and a resource,
+ * and fail loudly if anything is missing or errors
+ */
+export async function checkMcpServer(serverArgs = []) {
+  const transport = new StdioClientTransport({
+    command: process.execPath,
+    args: [path.join(__dirname, 'mcp-server.js'), ...serverArgs],
+    stderr: 'ignore'
+  });
+  const client = new Client({ name: 'stunk-docs-check', version: '1.0.0' });
+  const failures = [];
+
+  await client.connect(transport);
+
+  try {
+    const { tools } = await client.listTools();
+    const toolNames = tools.map(tool => tool.name);
+    EXPECTED_TOOLS
+      .filter(name => !toolNames.includes(name))
+      .forEach(name => failures.push(`tool ${name} is not registered`));
+
+    const calls = [
+      ['search_docs', { query: 'undo history' }],
+      ['get_doc', { slug: 'persistence', includeContent: false }],
+      ['get_section', { slug: 'persistence', sectionId: 'custom-storage' }],
+      ['list_code_examples', { language: 'tsx', limit: 2 }],
+      ['get_api_signature', { name: 'chunk' }]
+    ];
+
+    for (const [name, args] of calls) {
+      const result = await client.callTool({ name, arguments: args });
+      const text = result.content?.[0]?.text || '';
+
+      if (result.isError) {
+        failures.push(`${name} ${JSON.stringify(args)} returned an error: ${text}`);
+      } else {
+        console.log(`✅ ${name} ${JSON.stringify(args)} → ${text.length} chars`);
+      }
+    }
+
+    const { resources } = await client.listResources();
+    if (resources.length === 0) {
+      failures.push('no doc resources are listed');
+    } else {
+      const { contents } = await client.readResource({ uri: resources[0].uri });
+      console.log(`✅ ${resources.length} resources, read ${resources[0].uri} → ${contents[0].text.length} chars`);
+    }
+  } finally {
+    await client.close();
+  }
+
+  return failures;
+}
+
+// Run if executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  try {
+    const failures = await checkMcpServer(process.argv.slice(2));
+
+    if (failures.length > 0) {
+      failures.forEach(failure => console.error(`❌ ${failure}`));
+      process.exit(1);
+    }
+    console.log('\n🤖 MCP server OK');
+  } catch (error) {
+    console.error('❌ Error:', error);
+    process.exit(1);
+  }
+}
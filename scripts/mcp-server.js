@@ -0,0 +1,198 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { McpServer } from '@modelcontextprotocol/sdk/server/mcp.js';
+import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
+import { z } from 'zod';
+import { generateLLMOptimizedAPI } from './api.js';
+import { loadConfig } from './config.js';
+import { loadApiData } from './serve-api.js';
+import { search } from './search-query.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// ==========================================
+// MCP SERVER (stdio)
+// ==========================================
+
+/**
+ * Build an MCP server exposing the docs as tools and resources
+ * `data` is the shape returned by loadApiData()
+ */
+export function createMcpServer(data) {
+  const server = new McpServer({ name: 'stunk-docs', version: '1.0.0' });
+
+  server.registerTool('search_docs', {
+    title: 'Search Stunk docs',
+    description: 'Full-text BM25 search over the Stunk documentation. Returns ranked pages or sections with slugs and section ids.',
+    inputSchema: {
+      query: z.string().min(1).describe('Search terms, e.g. "undo history" or "useAsyncChunk"'),
+      type: z.enum(['docs', 'sections']).default('docs').describe('Rank whole pages or individual sections'),
+      limit: z.number().int().min(1).max(50).default(5)
+    }
+  }, async ({ query, type, limit }) => {
+    if (!data.searchIndex) return notFound('Search is not available: the API was generated without search.json.');
+
+    const results = search(data.searchIndex, query, { limit })[type];
+    return json(results);
+  });
+
+  server.registerTool('get_doc', {
+    title: 'Get a Stunk docs page',
+    description: 'Fetch a documentation page by slug (e.g. "async-chunk"): metadata, outline and full markdown.',
+    inputSchema: {
+      slug: z.string().min(1),
+      includeContent: z.boolean().default(true).describe('Include the full markdown body')
+    }
+  }, async ({ slug, includeContent }) => {
+    const doc = data.docs.get(slug);
+    if (!doc) return notFound(`No document with slug "${slug}". Use search_docs to find one.`);
+
+    const { slug: docSlug, title, description, category, groupPath, prev, next, contentType, complexity, keywords, tableOfContents, fullContent } = doc;
+    return json({
+      slug: docSlug,
+      title,
+      description,
+      category,
+      groupPath,
+      prev: prev?.slug ?? null,
+      next: next?.slug ?? null,
+      contentType,
+      complexity,
+      keywords,
+      tableOfContents,
+      ...(includeContent ? { content: fullContent } : {})
+    });
+  });
+
+  server.registerTool('get_section', {
+    title: 'Get one section of a Stunk docs page',
+    description: 'Fetch a single section (heading, markdown, code blocks) by page slug and section id.',
+    inputSchema: {
+      slug: z.string().min(1),
+      sectionId: z.string().min(1).describe('Section id from the page outline, e.g. "custom-storage"')
+    }
+  }, async ({ slug, sectionId }) => {
+    const doc = data.docs.get(slug);
+    if (!doc) return notFound(`No document with slug "${slug}"`);
+
+    const section = doc.sections.find(s => s.id === sectionId);
+    if (!section) {
+      return notFound(`No section "${sectionId}" in "${slug}". Available: ${doc.sections.map(s => s.id).join(', ')}`);
+    }
+
+    const { id, url, heading, level, content, codeBlocks, links } = section;
+    return json({ slug, id, url, heading, level, content, codeBlocks, links });
+  });
+
+  server.registerTool('list_code_examples', {
+    title: 'List Stunk code examples',
+    description: 'List code examples from the docs, filtered by page, language or purpose.',
+    inputSchema: {
+      slug: z.string().optional(),
+      language: z.string().optional().describe('e.g. "ts", "tsx", "bash"'),
+      purpose: z.enum(['example', 'test', 'type-definition', 'implementation']).optional(),
+      limit: z.number().int().min(1).max(100).default(10)
+    }
+  }, async ({ slug, language, purpose, limit }) => {
+    if (!data.codeExamples) return notFound('Code examples are not available: the API was generated without them.');
+
+    const matching = data.codeExamples.filter(example =>
+      (!slug || example.slug === slug) &&
+      (!language || example.language === language) &&
+      (!purpose || example.purpose === purpose)
+    );
+    return json({ total: matching.length, results: matching.slice(0, limit) });
+  });
+
+  server.registerTool('get_api_signature', {
+    title: 'Get a Stunk API signature',
+    description: 'Look up the documented signature, import entrypoint, overloads and usage of a Stunk API such as "chunk", "asyncChunk", "useChunk" or "withHistory".',
+    inputSchema: {
+      name: z.string().min(1)
+    }
+  }, async ({ name }) => {
+    if (!data.symbols) return notFound('API signatures are not available: the API was generated without symbols.json.');
+
+    const matches = findSignatures(data, name);
+    if (matches.length === 0) {
+      return notFound(`No documented signature for "${name}". Try search_docs.`);
+    }
+    return json(matches);
+  });
+
+  data.docs.forEach(doc => {
+    server.registerResource(doc.slug, `stunk-docs://docs/${doc.slug}`, {
+      title: doc.title,
+      description: doc.description,
+      mimeType: 'text/markdown'
+    }, async uri => ({
+      contents: [{ uri: uri.href, mimeType: 'text/markdown', text: doc.fullContent }]
+    }));
+  });
+
+  return server;
+}
+
+/**
+ * Symbol table entries for `name` (exact, else case-insensitive) with their
+ * import, overloads and the examples of the section defining them
+ */
+function findSignatures(data, name) {
+  const exact = data.symbols.filter(symbol => symbol.name === name);
+  const matches = exact.length
+    ? exact
+    : data.symbols.filter(symbol => symbol.name.toLowerCase() === name.toLowerCase());
+
+  return matches.map(symbol => {
+    const { slug, sectionId, url } = symbol.definedIn;
+    const section = data.docs.get(slug)?.sections?.find(s => s.id === sectionId);
+
+    return {
+      name: symbol.name,
+      kind: symbol.kind,
+      entrypoint: symbol.entrypoint,
+      import: `import { ${symbol.name} } from '${symbol.entrypoint}';`,
+      signature: symbol.signature || symbol.definition,
+      overloads: symbol.overloads.map(overload => overload.signature),
+      description: symbol.description,
+      parameters: symbol.parameters,
+      returns: symbol.returns,
+      members: symbol.members,
+      slug,
+      sectionId,
+      url,
+      examples: section?.codeBlocks || []
+    };
+  });
+}
+
+function json(value) {
+  return { content: [{ type: 'text', text: JSON.stringify(value, null, 2) }] };
+}
+
+function notFound(message) {
+  return { content: [{ type: 'text', text: message }], isError: true };
+}
+
+// Run if executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  // stdout carries the protocol; route generator logging to stderr
+  console.log = console.error;
+
+  try {
+    const { config } = await loadConfig(path.join(__dirname, '..'));
+    const outputDir = config.outDir;
+
+    if (process.argv.includes('--regenerate') || !fs.existsSync(path.join(outputDir, 'index.json'))) {
+      await generateLLMOptimizedAPI(config.docsDir, outputDir, { config });
+    }
+
+    const server = createMcpServer(loadApiData(outputDir));
+    await server.connect(new StdioServerTransport());
+    console.error('🤖 Stunk docs MCP server running on stdio');
+  } catch (error) {
+    console.error('❌ Error:', error);
+    process.exit(1);
+  }
+}
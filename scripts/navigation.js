@@ -0,0 +1,95 @@
+import { linkToSlug, pagePath, resolveLink } from './site.js';
+
+// ==========================================
+// SIDEBAR NAVIGATION GRAPH
+// ==========================================
+
+/**
+ * Place every doc in the sidebar: category (its innermost sidebar group),
+ * group path, sidebar order and previous/next pages, the way VitePress's
+ * doc footer links them. A page's `prev`/`next` frontmatter wins, `false`
+ * turns the link off. Pages outside the sidebar keep their category and
+ * get no neighbours.
+ *
+ * Returns Map<slug, { category, groupPath, sidebarOrder, prev, next }>
+ */
+export function buildNavigation(docs, site) {
+  const bySlug = new Map(docs.map(doc => [doc.slug, doc]));
+
+  // First listing of each page wins, like VitePress
+  const listed = [];
+  site.sidebar.forEach(entry => {
+    const slug = linkToSlug(entry.link);
+    if (bySlug.has(slug) && !listed.some(item => item.slug === slug)) {
+      listed.push({ ...entry, slug });
+    }
+  });
+
+  const link = (slug, text) => ({
+    slug,
+    title: bySlug.get(slug).title,
+    text: text || bySlug.get(slug).title,
+    url: pagePath(slug)
+  });
+
+  const navigation = new Map(docs.map(doc => [doc.slug, {
+    category: doc.category,
+    groupPath: [],
+    sidebarOrder: null,
+    prev: null,
+    next: null
+  }]));
+
+  listed.forEach((entry, i) => {
+    const doc = bySlug.get(entry.slug);
+    const neighbour = offset => {
+      const item = listed[i + offset];
+      return item && item.root === entry.root ? link(item.slug, item.text) : null;
+    };
+
+    navigation.set(entry.slug, {
+      category: doc.frontmatter.category || (entry.groups.length > 0 ? categoryName(entry.groups.at(-1)) : doc.category),
+      groupPath: entry.groups,
+      sidebarOrder: i,
+      prev: footerLink(doc.frontmatter.prev, neighbour(-1), doc, bySlug, link),
+      next: footerLink(doc.frontmatter.next, neighbour(1), doc, bySlug, link)
+    });
+  });
+
+  return navigation;
+}
+
+/**
+ * Every category a page can have: the sidebar groups as category ids, plus
+ * 'general' for pages outside the sidebar
+ */
+export function sidebarCategories(site) {
+  return [...new Set(['general', ...site.sidebar.flatMap(entry => entry.groups).map(categoryName)])];
+}
+
+/**
+ * Category id for a sidebar group: 'Async State' → 'async-state'
+ */
+export function categoryName(group) {
+  return group
+    .toLowerCase()
+    .replace(/[^\w]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Helper: Apply a prev/next frontmatter override to the sidebar neighbour
+ * `false` hides the link, a string or `{ text }` relabels it, and
+ * `{ text, link }` points it elsewhere
+ */
+function footerLink(value, neighbour, doc, bySlug, link) {
+  if (value === undefined || value === null) return neighbour;
+  if (value === false) return null;
+
+  const text = typeof value === 'string' ? value : value.text;
+  if (typeof value === 'string' || !value.link) return neighbour && { ...neighbour, text: text || neighbour.text };
+
+  const target = resolveLink(value.link, doc.slug);
+  const slug = target && linkToSlug(target.pathname);
+  return bySlug.has(slug) ? link(slug, text) : { slug: null, title: text, text, url: value.link };
+}
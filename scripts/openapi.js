@@ -0,0 +1,236 @@
+import path from 'path';
+import { API_SCHEMAS, schemaFor } from './schemas.js';
+
+// ==========================================
+// OPENAPI DESCRIPTION OF THE STATIC API (openapi.json)
+// ==========================================
+
+const OPENAPI_VERSION = '3.1.0';
+
+// Same media types serve-api.js answers with
+const MEDIA_TYPES = {
+  '.json': 'application/json',
+  '.jsonl': 'application/x-ndjson',
+  '.js': 'text/javascript',
+  '.ts': 'text/plain',
+  '.txt': 'text/plain'
+};
+
+/**
+ * Describe every route in routes.json as an OpenAPI 3.1 document
+ * Response bodies reference the published JSON Schemas, inlined under
+ * components.schemas by title. Each operation carries the byte size of its
+ * file in `x-size`; templated paths (per doc, per category, per schema) list
+ * one size per parameter value in `x-sizes`.
+ *
+ * `sizeOf(route)` returns a file's size in bytes, or undefined when unknown
+ * (openapi.json cannot contain its own size). `llmsTxt: false` leaves out
+ * the site-root llms.txt files.
+ */
+export function buildOpenApiDocument(routes, schemas, sizeOf, { llmsTxt = true } = {}) {
+  const { baseUrl } = routes;
+  const components = componentSchemas(schemas);
+  const local = route => route.slice(baseUrl.length);
+  const stem = (route, prefix, suffix) => local(route).slice(prefix.length, -suffix.length);
+
+  const paths = {};
+
+  Object.entries(routes.endpoints).forEach(([name, endpoint]) => {
+    paths[local(endpoint.path)] = {
+      get: operation({
+        operationId: `get${name[0].toUpperCase()}${name.slice(1)}`,
+        summary: endpoint.description,
+        description: endpoint.usage,
+        size: sizeOf(endpoint.path),
+        ...responseBody(endpoint.path, baseUrl, schemas)
+      })
+    };
+  });
+
+  // Slugs that collide with an aggregate file are served under a .page
+  // suffix (docs/index.md → index.page.json) and get a path of their own
+  const documentSummary = 'One page with its full content, sections, code examples and the Stunk APIs it uses';
+  const [slugDocuments, renamedDocuments] = partition(routes.documents, doc => doc.route === `${baseUrl}/${doc.slug}.json`);
+  const slugs = new Map(slugDocuments.map(doc => [doc.route, doc.slug]));
+
+  paths['/{slug}.json'] = {
+    get: templatedOperation({
+      operationId: 'getDocument',
+      summary: documentSummary,
+      description: renamedDocuments.length
+        ? `Pages whose slug collides with an aggregate file have their own path: ${renamedDocuments.map(doc => local(doc.route)).join(', ')}`
+        : undefined,
+      parameter: 'slug',
+      routes: slugDocuments.map(doc => doc.route),
+      value: route => slugs.get(route),
+      sizeOf,
+      ...responseBody(`${baseUrl}/{slug}.json`, baseUrl, schemas)
+    })
+  };
+
+  renamedDocuments.forEach(doc => {
+    paths[local(doc.route)] = {
+      get: operation({
+        operationId: `getDocument${pascalCase(doc.slug)}Page`,
+        summary: documentSummary,
+        description: `The "${doc.slug}" page, renamed so it does not overwrite ${baseUrl}/${doc.slug}.json`,
+        size: sizeOf(doc.route),
+        ...responseBody(`${baseUrl}/{slug}.json`, baseUrl, schemas)
+      })
+    };
+  });
+
+  paths['/category-{name}.json'] = {
+    get: templatedOperation({
+      operationId: 'getCategory',
+      summary: 'Every document of one category with its summary and table of contents',
+      parameter: 'name',
+      routes: routes.categories.map(cat => cat.route),
+      value: route => stem(route, '/category-', '.json'),
+      sizeOf,
+      ...responseBody(`${baseUrl}/category-{name}.json`, baseUrl, schemas)
+    })
+  };
+
+  const schemaRoutes = Object.values(routes.schemas).filter(route => route.endsWith('.schema.json'));
+  const typesRoute = Object.values(routes.schemas).find(route => route.endsWith('.d.ts'));
+
+  // Published unless the config turns the schemas off
+  if (typesRoute) {
+    paths['/schema/{name}.schema.json'] = {
+      get: templatedOperation({
+        operationId: 'getSchema',
+        summary: 'JSON Schema (draft 2020-12) of one file kind; each JSON file names its own in $schema',
+        parameter: 'name',
+        routes: schemaRoutes,
+        value: route => stem(route, '/schema/', '.schema.json'),
+        sizeOf,
+        content: { 'application/json': { schema: { type: 'object' } } }
+      })
+    };
+
+    paths[local(typesRoute)] = {
+      get: operation({
+        operationId: 'getTypes',
+        summary: 'TypeScript declarations of every file kind, generated from the JSON Schemas',
+        size: sizeOf(typesRoute),
+        ...responseBody(typesRoute, baseUrl, schemas)
+      })
+    };
+  }
+
+  // llms.txt lives at the site root, outside the API base URL
+  const siteFiles = llmsTxt ? [
+    ['getLlmsTxt', '/llms.txt', 'LLM-friendly site index (llmstxt.org)'],
+    ['getLlmsFullTxt', '/llms-full.txt', 'All docs as one markdown file, in sidebar order']
+  ] : [];
+
+  siteFiles.forEach(([operationId, route, summary]) => {
+    paths[route] = {
+      servers: [{ url: '/' }],
+      get: operation({ operationId, summary, size: sizeOf(route), ...responseBody(route, baseUrl, schemas) })
+    };
+  });
+
+  return {
+    openapi: OPENAPI_VERSION,
+    info: {
+      title: 'Stunk documentation API',
+      version: routes.version,
+      description: 'Static JSON files generated from the Stunk docs. Every route is a plain GET of a ' +
+        `file; start with ${baseUrl}/routes.json. \`x-size\` and \`x-sizes\` give response sizes in bytes.`
+    },
+    servers: [{ url: baseUrl }],
+    paths,
+    components: { schemas: components }
+  };
+}
+
+/**
+ * Helper: Response content for a route, from its file extension and schema
+ */
+function responseBody(route, baseUrl, schemas) {
+  const mediaType = MEDIA_TYPES[path.posix.extname(route)];
+  const name = route.startsWith(`${baseUrl}/`) ? schemaFor(route.slice(baseUrl.length + 1)) : null;
+
+  if (!name) return { content: { [mediaType]: { schema: { type: mediaType === 'application/json' ? 'object' : 'string' } } } };
+
+  const schema = { $ref: `#/components/schemas/${schemas[name].title}` };
+  if (!API_SCHEMAS[name].lines) return { content: { [mediaType]: { schema } } };
+
+  // OpenAPI 3.1 cannot type the lines of a JSON Lines body; name the line schema instead
+  return {
+    content: {
+      [mediaType]: {
+        schema: { type: 'string', description: `JSON Lines, one ${schemas[name].title} per line` },
+        'x-line-schema': schema
+      }
+    }
+  };
+}
+
+function operation({ operationId, summary, description, size, content }) {
+  return {
+    operationId,
+    summary,
+    ...(description ? { description } : {}),
+    ...(size === undefined ? {} : { 'x-size': size }),
+    responses: {
+      200: { description: summary, content }
+    }
+  };
+}
+
+/**
+ * Helper: Operation on a path with one parameter, enumerating the generated files
+ */
+function templatedOperation({ parameter, routes, value, sizeOf, ...rest }) {
+  const values = routes.map(value);
+  const { responses, ...fields } = operation(rest);
+
+  return {
+    ...fields,
+    parameters: [{
+      name: parameter,
+      in: 'path',
+      required: true,
+      schema: { type: 'string', enum: values }
+    }],
+    'x-sizes': Object.fromEntries(routes.map((route, i) => [values[i], sizeOf(route)])),
+    responses
+  };
+}
+
+function partition(items, predicate) {
+  return [items.filter(predicate), items.filter(item => !predicate(item))];
+}
+
+function pascalCase(slug) {
+  return slug.split(/[^a-zA-Z0-9]+/).filter(Boolean).map(word => word[0].toUpperCase() + word.slice(1)).join('');
+}
+
+/**
+ * Helper: Every file schema and shared definition keyed by its title, with
+ * `#/$defs/` references pointed at components.schemas
+ */
+function componentSchemas(schemas) {
+  const components = {};
+
+  Object.values(schemas).forEach(({ $schema, $id, $defs, ...schema }) => {
+    const retarget = node => {
+      if (Array.isArray(node)) return node.map(retarget);
+      if (!node || typeof node !== 'object') return node;
+      return Object.fromEntries(Object.entries(node).map(([key, child]) => [
+        key,
+        key === '$ref' ? `#/components/schemas/${$defs[child.replace('#/$defs/', '')].title}` : retarget(child)
+      ]));
+    };
+
+    components[schema.title] = retarget(schema);
+    Object.values($defs).forEach(definition => {
+      components[definition.title] = retarget(definition);
+    });
+  });
+
+  return Object.fromEntries(Object.keys(components).sort().map(title => [title, components[title]]));
+}
@@ -0,0 +1,101 @@
+// ==========================================
+// TYPESCRIPT TYPINGS FROM THE API SCHEMAS (api.d.ts)
+// ==========================================
+
+/**
+ * Render the API schemas as TypeScript declarations
+ * Every schema and shared definition becomes a named type (its `title`);
+ * nested objects are inlined. Covers the JSON Schema subset schemas.js uses.
+ */
+export function schemasToTypeScript(schemas) {
+  const fileTypes = [];
+  const definitions = new Map();
+
+  Object.values(schemas).forEach(schema => {
+    fileTypes.push(declaration(schema, schema.$defs));
+    Object.values(schema.$defs || {}).forEach(definition => {
+      if (!definitions.has(definition.title)) {
+        definitions.set(definition.title, declaration(definition, schema.$defs));
+      }
+    });
+  });
+
+  const sortedDefinitions = [...definitions.keys()].sort().map(title => definitions.get(title));
+
+  return [
+    '// Types of the files under /api, generated from /api/schema/*.schema.json',
+    '',
+    ...[...fileTypes, ...sortedDefinitions].map(text => `${text}\n`)
+  ].join('\n');
+}
+
+/**
+ * Helper: `export interface` for plain objects, `export type` otherwise
+ */
+function declaration(schema, defs) {
+  const comment = docComment(schema.description, '');
+  const isInterface = typeName(schema) === 'object' && schema.properties && !isSchema(schema.additionalProperties);
+
+  return isInterface
+    ? `${comment}export interface ${schema.title} ${objectType(schema, defs, '')}`
+    : `${comment}export type ${schema.title} = ${typeOf(schema, defs, '')};`;
+}
+
+function typeOf(schema, defs, indent) {
+  if (schema.$ref) return defs[schema.$ref.replace('#/$defs/', '')].title;
+  if (schema.const !== undefined) return JSON.stringify(schema.const);
+  if (schema.enum) return schema.enum.map(value => JSON.stringify(value)).join(' | ');
+  if (schema.anyOf) return schema.anyOf.map(option => typeOf(option, defs, indent)).join(' | ');
+
+  const types = schema.type ? [schema.type].flat() : [];
+  if (types.length === 0) return 'unknown';
+
+  return types.map(type => {
+    if (type === 'string' || type === 'boolean' || type === 'null') return type;
+    if (type === 'integer' || type === 'number') return 'number';
+    if (type === 'array') return arrayType(schema, defs, indent);
+    return objectType(schema, defs, indent);
+  }).join(' | ');
+}
+
+function arrayType(schema, defs, indent) {
+  if (schema.prefixItems) {
+    return `[${schema.prefixItems.map(item => typeOf(item, defs, indent)).join(', ')}]`;
+  }
+  if (!isSchema(schema.items)) return 'unknown[]';
+
+  const item = typeOf(schema.items, defs, indent);
+  return /[|&]/.test(item) && !item.startsWith('{') ? `Array<${item}>` : `${item}[]`;
+}
+
+function objectType(schema, defs, indent) {
+  const values = isSchema(schema.additionalProperties)
+    ? `Record<string, ${typeOf(schema.additionalProperties, defs, indent)}>`
+    : null;
+
+  if (!schema.properties) return values || 'Record<string, unknown>';
+
+  const inner = `${indent}  `;
+  const required = new Set(schema.required || []);
+  const members = Object.entries(schema.properties).map(([name, property]) => {
+    const key = /^[A-Za-z_$][\w$]*$/.test(name) ? name : JSON.stringify(name);
+    const optional = required.has(name) ? '' : '?';
+    return `${docComment(property.description, inner)}${inner}${key}${optional}: ${typeOf(property, defs, inner)};`;
+  });
+  const body = `{\n${members.join('\n')}\n${indent}}`;
+
+  // Named properties beside a map need an intersection
+  return values ? `${body} & ${values}` : body;
+}
+
+function docComment(description, indent) {
+  return description ? `${indent}/** ${description} */\n` : '';
+}
+
+function typeName(schema) {
+  return [schema.type].flat()[0];
+}
+
+function isSchema(value) {
+  return Boolean(value) && typeof value === 'object';
+}
@@ -0,0 +1,693 @@
+import fs from 'fs';
+import path from 'path';
+import Ajv2020 from 'ajv/dist/2020.js';
+import addFormats from 'ajv-formats';
+import { DEFAULT_CONFIG } from './config.js';
+
+// ==========================================
+// JSON SCHEMAS FOR THE GENERATED API
+// ==========================================
+
+const DRAFT = 'https://json-schema.org/draft/2020-12/schema';
+
+// Values the parser assigns (frontmatter may override them, see frontmatter.js).
+// Kept here rather than in frontmatter.js, whose CLI imports api.js, which imports this
+export const CONTENT_TYPES = ['api-reference', 'tutorial', 'example', 'setup-guide', 'documentation'];
+export const COMPLEXITIES = ['beginner', 'intermediate', 'advanced'];
+
+// Shorthands; every object is closed so new fields must be added here first.
+// `$schema` is never required: it is left out when the schemas are not published
+const string = { type: 'string' };
+const integer = { type: 'integer', minimum: 0 };
+const number = { type: 'number', minimum: 0 };
+const boolean = { type: 'boolean' };
+const nullable = schema => schema.$ref
+  ? { anyOf: [schema, { type: 'null' }] }
+  : { ...schema, type: [schema.type, 'null'] };
+const array = items => ({ type: 'array', items });
+const ref = name => ({ $ref: `#/$defs/${name}` });
+const object = (properties, optional = []) => ({
+  type: 'object',
+  properties,
+  required: Object.keys(properties).filter(key => key !== '$schema' && !optional.includes(key)),
+  additionalProperties: false
+});
+const map = values => ({ type: 'object', additionalProperties: values });
+
+// Every JSON file names its schema in `$schema`
+const schemaProperty = { $schema: { ...string, description: 'URL of this file\'s JSON Schema' } };
+
+/**
+ * Shared definitions; each schema embeds the ones it references
+ * `title` is also the TypeScript name in api.d.ts
+ */
+const DEFINITIONS = {
+  category: { title: 'Category', ...string, description: 'Sidebar group id (e.g. "async-state"), or "general" outside the sidebar' },
+  contentType: { title: 'ContentType', type: 'string', enum: CONTENT_TYPES },
+  complexity: { title: 'Complexity', type: 'string', enum: COMPLEXITIES },
+  sectionSummary: {
+    title: 'SectionSummary',
+    ...object({ id: string, heading: string, level: integer })
+  },
+  tocEntry: {
+    title: 'TocEntry',
+    ...object({ id: string, url: string, heading: string, level: integer, children: array(ref('tocEntry')) })
+  },
+  navLink: {
+    title: 'NavLink',
+    description: 'Previous/next page; slug is null for links leaving the docs',
+    ...object({ slug: nullable(string), title: string, text: string, url: string }, ['title', 'text'])
+  },
+  lastCommit: {
+    title: 'LastCommit',
+    ...object({ hash: string, subject: string })
+  },
+  contributor: {
+    title: 'Contributor',
+    ...object({ name: string, commits: integer })
+  },
+  codeExample: {
+    title: 'CodeExample',
+    ...object({
+      language: string,
+      meta: { ...nullable(string), description: 'Fence info after the language, e.g. "doctest" or "{2,4}"' },
+      code: string,
+      lineCount: integer,
+      lineNumber: integer,
+      purpose: string
+    })
+  },
+  sectionCodeBlock: {
+    title: 'SectionCodeBlock',
+    ...object({ language: string, code: string, lineCount: integer })
+  },
+  listItem: {
+    title: 'ListItem',
+    ...object({ text: string, children: array(ref('listItem')), checked: boolean }, ['checked'])
+  },
+  list: {
+    title: 'List',
+    ...object({ ordered: boolean, start: nullable(integer), lineNumber: integer, items: array(ref('listItem')) })
+  },
+  link: {
+    title: 'Link',
+    ...object({ text: string, url: string, reference: string, lineNumber: integer }, ['reference'])
+  },
+  table: {
+    title: 'Table',
+    ...object({
+      headers: array(string),
+      rows: array(array(string)),
+      align: array({ type: ['string', 'null'] }),
+      lineNumber: integer
+    })
+  },
+  admonition: {
+    title: 'Admonition',
+    ...object({ kind: string, title: nullable(string), content: string, lineNumber: integer })
+  },
+  embed: {
+    title: 'Embed',
+    ...object({
+      type: string,
+      src: { type: ['string', 'boolean'] },
+      title: { type: ['string', 'boolean', 'null'] },
+      width: { type: ['string', 'boolean', 'null'] },
+      height: { type: ['string', 'boolean', 'null'] },
+      lineNumber: integer
+    })
+  },
+  section: {
+    title: 'Section',
+    ...object({
+      id: string,
+      url: string,
+      level: integer,
+      heading: string,
+      content: string,
+      contentPlain: string,
+      lineNumber: integer,
+      codeBlocks: array(ref('sectionCodeBlock')),
+      lists: array(ref('list')),
+      links: array(ref('link')),
+      tables: array(ref('table')),
+      admonitions: array(ref('admonition')),
+      embeds: array(ref('embed'))
+    })
+  },
+  apiUsed: {
+    title: 'ApiUsed',
+    ...object({ name: string, entrypoint: string })
+  },
+  typeParam: {
+    title: 'TypeParam',
+    ...object({ name: string, constraint: nullable(string), default: nullable(string) })
+  },
+  parameter: {
+    title: 'Parameter',
+    ...object({ name: string, type: nullable(string), optional: boolean, rest: boolean, default: nullable(string) })
+  },
+  overload: {
+    title: 'Overload',
+    description: 'A further documented signature of a function or hook',
+    ...object({
+      signature: string,
+      description: nullable(string),
+      typeParams: array(ref('typeParam')),
+      parameters: array(ref('parameter')),
+      returns: nullable(string),
+      definedIn: object({ slug: string, sectionId: nullable(string), url: string })
+    })
+  },
+  member: {
+    title: 'Member',
+    ...object({
+      name: string,
+      kind: { type: 'string', enum: ['method', 'property', 'unknown'] },
+      optional: boolean,
+      type: string,
+      typeParams: array(ref('typeParam')),
+      parameters: array(ref('parameter')),
+      returns: nullable(string)
+    }, ['type', 'typeParams', 'parameters', 'returns'])
+  },
+  endpoint: {
+    title: 'Endpoint',
+    ...object({
+      path: string,
+      description: string,
+      size: { ...string, description: 'Human-readable size, or "varies" for files that describe themselves' },
+      bytes: { ...nullable(integer), description: 'File size in bytes; null when not known at generation time' },
+      usage: string
+    })
+  },
+  categorySummary: {
+    title: 'CategorySummary',
+    ...object({ name: ref('category'), count: integer, route: string, description: string })
+  },
+  pageRef: {
+    title: 'PageRef',
+    ...object({ slug: string, path: string, url: string, title: string })
+  }
+};
+
+const pageRefFields = DEFINITIONS.pageRef.properties;
+
+// Fields every doc carries about its place in the sidebar and its history
+const navigationFields = {
+  groupPath: { ...array(string), description: 'Sidebar groups the page is nested under' },
+  sidebarOrder: { ...nullable(integer), description: 'Position in reading order; null outside the sidebar' }
+};
+
+const historyFields = {
+  createdAt: { ...nullable(string), format: 'date-time', description: 'First commit touching the page; null without git history' },
+  lastModified: { ...string, format: 'date-time', description: 'Last commit touching the page, or file mtime without git' }
+};
+
+const docFields = {
+  slug: string,
+  path: string,
+  title: string,
+  description: string,
+  summary: string,
+  keywords: array(string),
+  tags: array(string),
+  category: ref('category'),
+  sections: array(ref('section')),
+  codeExamples: array(ref('codeExample')),
+  tables: array(ref('table')),
+  admonitions: array(ref('admonition')),
+  embeds: array(ref('embed')),
+  tableOfContents: array(ref('tocEntry')),
+  fullContent: { ...string, description: 'Markdown body without frontmatter' },
+  frontmatter: { type: 'object', description: 'Raw page frontmatter (see the frontmatter schema in scripts/frontmatter.js)' },
+  wordCount: integer,
+  estimatedReadingTime: { ...integer, description: 'Minutes' },
+  contentType: ref('contentType'),
+  complexity: ref('complexity'),
+  ...navigationFields,
+  prev: nullable(ref('navLink')),
+  next: nullable(ref('navLink')),
+  ...historyFields,
+  lastCommit: nullable(ref('lastCommit')),
+  contributors: array(ref('contributor')),
+  changeCount: integer,
+  apisUsed: array(ref('apiUsed'))
+};
+
+/**
+ * One schema per generated file kind, keyed by schema name
+ * `files` matches the output paths (relative to the API dir) it describes
+ */
+export const API_SCHEMAS = {
+  index: {
+    files: /^index\.json$/,
+    schema: {
+      title: 'IndexFile',
+      description: 'All documents with metadata, without page content (/api/index.json)',
+      ...object({
+        ...schemaProperty,
+        total: integer,
+        metadata: object({
+          generatedAt: { ...string, format: 'date-time' },
+          totalWords: integer,
+          totalCodeExamples: integer,
+          categories: array(ref('category')),
+          contentTypes: array(ref('contentType'))
+        }),
+        docs: array(object({
+          slug: string,
+          route: string,
+          path: string,
+          title: string,
+          summary: string,
+          category: ref('category'),
+          ...navigationFields,
+          prev: { ...nullable(string), description: 'Slug of the previous page' },
+          next: { ...nullable(string), description: 'Slug of the next page' },
+          contentType: ref('contentType'),
+          complexity: ref('complexity'),
+          keywords: array(string),
+          tags: array(string),
+          sections: array(ref('sectionSummary')),
+          codeExampleCount: integer,
+          wordCount: integer,
+          estimatedReadingTime: integer,
+          ...historyFields
+        }))
+      })
+    }
+  },
+
+  search: {
+    files: /^search\.json$/,
+    schema: {
+      title: 'SearchIndexFile',
+      description: 'BM25 inverted index; query it with search() from /api/search-query.js (/api/search.json)',
+      ...object({
+        ...schemaProperty,
+        version: { const: 1 },
+        params: object({ k1: number, b: number }),
+        fields: array(string),
+        weights: array(number),
+        docs: array(object({
+          slug: string,
+          url: string,
+          title: string,
+          summary: string,
+          category: ref('category'),
+          contentType: ref('contentType')
+        })),
+        sections: {
+          type: 'array',
+          description: '[docIndex, sectionId, heading] per section',
+          items: { type: 'array', prefixItems: [integer, string, string], minItems: 3, maxItems: 3 }
+        },
+        lengths: { ...array(array(integer)), description: 'Term count per field, per section' },
+        avgLengths: array(number),
+        terms: {
+          ...map({ type: 'array', items: { anyOf: [{ const: 0 }, array(integer)] } }),
+          description: 'Postings per field: 0, or flat [sectionIndex, termFrequency, ...] pairs'
+        }
+      })
+    }
+  },
+
+  chunk: {
+    files: /^chunks\.jsonl$/,
+    lines: true,
+    schema: {
+      title: 'RetrievalChunk',
+      description: 'One line of /api/chunks.jsonl',
+      ...object({
+        id: string,
+        slug: string,
+        title: string,
+        sectionId: string,
+        headingPath: array(string),
+        url: string,
+        part: { ...integer, description: '0-based part of a section split to fit the token budget' },
+        parts: { type: 'integer', minimum: 1 },
+        prose: string,
+        code: array(object({ language: string, code: string })),
+        tokens: integer,
+        hash: string
+      })
+    }
+  },
+
+  symbols: {
+    files: /^symbols\.json$/,
+    schema: {
+      title: 'SymbolsFile',
+      description: 'Documented API symbols with signatures (/api/symbols.json)',
+      ...object({
+        ...schemaProperty,
+        total: integer,
+        entrypoints: { ...map(array(string)), description: 'Symbol names by entrypoint (stunk, stunk/react, stunk/middleware)' },
+        symbols: array(object({
+          name: string,
+          kind: { type: 'string', enum: ['function', 'hook', 'interface', 'type'] },
+          entrypoint: string,
+          signature: nullable(string),
+          overloads: array(ref('overload')),
+          description: nullable(string),
+          typeParams: array(ref('typeParam')),
+          parameters: { type: ['array', 'null'], items: ref('parameter') },
+          returns: nullable(string),
+          extends: array(string),
+          members: { type: ['array', 'null'], items: ref('member') },
+          definition: nullable(string),
+          definedIn: object({ slug: string, sectionId: nullable(string), url: string }),
+          mentions: array(object({ slug: string, title: string, url: string, sections: array(string) }))
+        }))
+      })
+    }
+  },
+
+  xref: {
+    files: /^xref\.json$/,
+    schema: {
+      title: 'XrefFile',
+      description: 'Every export mapped to the pages, sections and code examples using it (/api/xref.json)',
+      ...object({
+        ...schemaProperty,
+        total: integer,
+        symbols: map(object({
+          entrypoint: string,
+          pages: array(object({
+            slug: string,
+            title: string,
+            url: string,
+            sections: array(object({
+              id: string,
+              url: string,
+              in: array({ type: 'string', enum: ['code', 'prose'] })
+            })),
+            codeExamples: array(object({ index: integer, language: string, lineNumber: integer }))
+          }))
+        }))
+      })
+    }
+  },
+
+  categories: {
+    files: /^categories\.json$/,
+    schema: {
+      title: 'CategoriesFile',
+      description: 'Documents grouped by category, in reading order (/api/categories.json)',
+      ...object({
+        ...schemaProperty,
+        categories: {
+          ...map(array(object({
+            slug: string,
+            title: string,
+            summary: string,
+            ...navigationFields
+          }))),
+          description: 'Documents keyed by category id'
+        }
+      })
+    }
+  },
+
+  category: {
+    files: /^category-[^/]+\.json$/,
+    schema: {
+      title: 'CategoryFile',
+      description: 'One category with document summaries (/api/category-{name}.json)',
+      ...object({
+        ...schemaProperty,
+        name: ref('category'),
+        count: integer,
+        totalWords: integer,
+        totalCodeExamples: integer,
+        documents: array(object({
+          slug: string,
+          route: string,
+          title: string,
+          description: string,
+          summary: string,
+          ...navigationFields,
+          prev: nullable(ref('navLink')),
+          next: nullable(ref('navLink')),
+          contentType: ref('contentType'),
+          complexity: ref('complexity'),
+          keywords: array(string),
+          tags: array(string),
+          tableOfContents: array(ref('tocEntry')),
+          codeExampleCount: integer,
+          wordCount: integer,
+          estimatedReadingTime: integer,
+          ...historyFields
+        }))
+      })
+    }
+  },
+
+  coverage: {
+    files: /^coverage\.json$/,
+    schema: {
+      title: 'CoverageFile',
+      description: 'Pages versus sidebar and nav (/api/coverage.json)',
+      ...object({
+        ...schemaProperty,
+        generated: { ...string, format: 'date-time' },
+        totalPages: integer,
+        listedPages: integer,
+        orphans: { ...array(ref('pageRef')), description: 'Not in the sidebar or nav, and no page links to them' },
+        unlisted: {
+          ...array(object({ ...pageRefFields, linkedFrom: array(string) })),
+          description: 'Not in the sidebar or nav, but linked from the pages in linkedFrom'
+        },
+        missing: array(object({
+          source: { type: 'string', enum: ['sidebar', 'nav'] },
+          text: string,
+          link: string,
+          groups: array(string)
+        })),
+        duplicates: array(object({
+          source: { type: 'string', enum: ['sidebar', 'nav'] },
+          slug: string,
+          entries: array(object({ text: string, link: string, groups: array(string) }))
+        })),
+        excluded: { ...array(string), description: 'Slugs left out of the API' }
+      })
+    }
+  },
+
+  recentlyUpdated: {
+    files: /^recently-updated\.json$/,
+    schema: {
+      title: 'RecentlyUpdatedFile',
+      description: 'Documents ordered by last edit, newest first (/api/recently-updated.json)',
+      ...object({
+        ...schemaProperty,
+        generated: { ...string, format: 'date-time' },
+        total: integer,
+        docs: array(object({
+          slug: string,
+          route: string,
+          url: string,
+          title: string,
+          category: ref('category'),
+          ...historyFields,
+          lastCommit: nullable(ref('lastCommit')),
+          changeCount: integer
+        }))
+      })
+    }
+  },
+
+  routes: {
+    files: /^routes\.json$/,
+    schema: {
+      title: 'RoutesFile',
+      description: 'Route listing and usage guide; fetch it first (/api/routes.json)',
+      ...object({
+        ...schemaProperty,
+        version: string,
+        generated: { ...string, format: 'date-time' },
+        baseUrl: string,
+        stats: object({
+          totalDocuments: integer,
+          totalWords: integer,
+          totalCodeExamples: integer,
+          categories: integer,
+          contentTypes: integer
+        }),
+        endpoints: map(ref('endpoint')),
+        schemas: { ...map(string), description: 'JSON Schema URL per file kind, plus the TypeScript typings' },
+        categories: array(ref('categorySummary')),
+        documents: array(object({
+          slug: string,
+          route: string,
+          title: string,
+          category: ref('category'),
+          ...navigationFields,
+          contentType: ref('contentType'),
+          complexity: ref('complexity'),
+          keywords: array(string),
+          summary: string,
+          wordCount: integer,
+          codeExamples: integer,
+          sections: integer,
+          estimatedReadingTime: integer
+        })),
+        capabilities: object({
+          search: { ...object({ fields: array(string), ranking: string, description: string }), description: 'Absent when search.json is not generated' },
+          filter: object({
+            fields: array(string),
+            values: object({
+              category: array(ref('category')),
+              complexity: array(ref('complexity')),
+              contentType: array(ref('contentType'))
+            }),
+            description: string
+          }),
+          languages: object({ available: array(string), description: string })
+        }, ['search']),
+        usage: object({
+          quickStart: map(string),
+          examples: map(object({ description: string, steps: array(string) })),
+          tips: array(string)
+        }),
+        quickReference: map(string)
+      })
+    }
+  },
+
+  metadata: {
+    files: /^metadata\.json$/,
+    schema: {
+      title: 'MetadataFile',
+      description: 'Documentation statistics (/api/metadata.json)',
+      ...object({
+        ...schemaProperty,
+        version: string,
+        generated: { ...string, format: 'date-time' },
+        stats: object({
+          totalDocs: integer,
+          totalWords: integer,
+          totalCodeExamples: integer,
+          avgWordsPerDoc: integer,
+          avgReadingTime: integer
+        }),
+        categories: array(ref('category')),
+        contentTypes: array(ref('contentType')),
+        complexityDistribution: object({ beginner: integer, intermediate: integer, advanced: integer }),
+        languageDistribution: { ...map(integer), description: 'Code examples per fence language' }
+      })
+    }
+  },
+
+  // Listed last: any other .json in the API dir is a document
+  doc: {
+    files: /\.json$/,
+    schema: {
+      title: 'DocFile',
+      description: 'One page with its full content (/api/{slug}.json)',
+      // Fields the `fields` config option can turn off are optional
+      ...object({ ...schemaProperty, ...docFields }, Object.keys(DEFAULT_CONFIG.fields))
+    }
+  }
+};
+
+/**
+ * Complete, publishable schema documents keyed by schema name
+ */
+export function buildSchemas(baseUrl) {
+  return Object.fromEntries(Object.entries(API_SCHEMAS).map(([name, { schema }]) => [name, {
+    $schema: DRAFT,
+    $id: schemaUrl(name, baseUrl),
+    ...schema,
+    $defs: referencedDefinitions(schema)
+  }]));
+}
+
+/**
+ * Site path of a schema: {baseUrl}/schema/{name}.schema.json
+ */
+export function schemaUrl(name, baseUrl = DEFAULT_CONFIG.baseUrl) {
+  return `${baseUrl}/schema/${schemaFileName(name)}`;
+}
+
+export function schemaFileName(name) {
+  return `${name.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`)}.schema.json`;
+}
+
+/**
+ * Schema name for an output path relative to the API dir, or null
+ * (the schemas themselves and openapi.json are not validated)
+ */
+export function schemaFor(relativePath) {
+  if (relativePath.startsWith('schema/') || relativePath === 'openapi.json' || !/\.jsonl?$/.test(relativePath)) return null;
+  return Object.keys(API_SCHEMAS).find(name => API_SCHEMAS[name].files.test(relativePath)) || null;
+}
+
+/**
+ * Validate emitted files against their schemas
+ * Returns [{ file, line, message }]; `line` is set for JSON Lines files
+ */
+export function validateOutputs(outputDir, files) {
+  const ajv = new Ajv2020({ allErrors: true, strict: false });
+  addFormats(ajv);
+  const schemas = buildSchemas();
+  const validators = new Map();
+  const validatorFor = name => {
+    if (!validators.has(name)) validators.set(name, ajv.compile(schemas[name]));
+    return validators.get(name);
+  };
+
+  return files.flatMap(file => {
+    const relativePath = path.relative(outputDir, file).split(path.sep).join('/');
+    const name = schemaFor(relativePath);
+    if (!name) return [];
+
+    const validate = validatorFor(name);
+    const content = fs.readFileSync(file, 'utf-8');
+    const values = API_SCHEMAS[name].lines
+      ? content.split('\n').map((text, i) => ({ text, line: i + 1 })).filter(({ text }) => text)
+      : [{ text: content, line: null }];
+
+    return values.flatMap(({ text, line }) => {
+      let value;
+      try {
+        value = JSON.parse(text);
+      } catch (error) {
+        return [{ file: relativePath, line, message: `invalid JSON: ${error.message}` }];
+      }
+
+      if (validate(value)) return [];
+      return validate.errors.map(error => ({
+        file: relativePath,
+        line,
+        message: `${error.instancePath || '/'} ${error.message}${error.params?.additionalProperty ? ` "${error.params.additionalProperty}"` : ''}`
+      }));
+    });
+  });
+}
+
+/**
+ * Helper: The shared definitions a schema references, transitively
+ */
+function referencedDefinitions(schema) {
+  const defs = {};
+  const visit = node => {
+    if (Array.isArray(node)) {
+      node.forEach(visit);
+      return;
+    }
+    if (!node || typeof node !== 'object') return;
+
+    const name = typeof node.$ref === 'string' ? node.$ref.replace('#/$defs/', '') : null;
+    if (name && !defs[name]) {
+      defs[name] = DEFINITIONS[name];
+      visit(DEFINITIONS[name]);
+    }
+    Object.values(node).forEach(visit);
+  };
+
+  visit(schema);
+  return Object.fromEntries(Object.keys(defs).sort().map(name => [name, defs[name]]));
+}
@@ -0,0 +1,102 @@
+import { tokenize } from './search-query.js';
+import { pagePath } from './site.js';
+
+// ==========================================
+// BM25 INVERTED INDEX (search.json)
+// ==========================================
+
+export const SEARCH_FIELDS = ['title', 'heading', 'keywords', 'body', 'code'];
+
+const FIELD_WEIGHTS = {
+  title: 3,
+  heading: 2.5,
+  keywords: 2,
+  body: 1,
+  code: 1.5
+};
+
+const BM25_PARAMS = { k1: 1.2, b: 0.75 };
+
+const CODE_KEYWORDS = new Set([
+  'as', 'async', 'await', 'break', 'case', 'catch', 'class', 'const',
+  'continue', 'default', 'else', 'export', 'extends', 'false', 'finally',
+  'for', 'from', 'function', 'if', 'import', 'in', 'instanceof', 'interface',
+  'let', 'new', 'null', 'of', 'return', 'switch', 'this', 'throw', 'true',
+  'try', 'type', 'typeof', 'undefined', 'var', 'void', 'while'
+]);
+
+/**
+ * Build a field-weighted BM25 index over every section of every doc
+ * Postings are flat [sectionIndex, termFrequency, ...] arrays per field
+ */
+export function buildSearchIndex(docs) {
+  const sections = [];
+  const lengths = [];
+  const terms = {};
+
+  docs.forEach((doc, docIndex) => {
+    doc.sections.forEach(section => {
+      const sectionIndex = sections.length;
+      sections.push([docIndex, section.id, section.heading]);
+
+      const fieldTerms = [
+        tokenize(doc.title),
+        tokenize(section.heading),
+        tokenize(doc.keywords.join(' ')),
+        tokenize(section.contentPlain),
+        tokenize(codeIdentifiers(section.codeBlocks))
+      ];
+
+      lengths.push(fieldTerms.map(list => list.length));
+
+      fieldTerms.forEach((list, field) => {
+        const frequencies = new Map();
+        list.forEach(term => frequencies.set(term, (frequencies.get(term) || 0) + 1));
+
+        frequencies.forEach((frequency, term) => {
+          if (!Object.hasOwn(terms, term)) terms[term] = SEARCH_FIELDS.map(() => 0);
+          if (!terms[term][field]) terms[term][field] = [];
+          terms[term][field].push(sectionIndex, frequency);
+        });
+      });
+    });
+  });
+
+  const avgLengths = SEARCH_FIELDS.map((_, field) => {
+    const total = lengths.reduce((sum, row) => sum + row[field], 0);
+    return Math.round((total / (lengths.length || 1)) * 100) / 100;
+  });
+
+  return {
+    version: 1,
+    params: BM25_PARAMS,
+    fields: SEARCH_FIELDS,
+    weights: SEARCH_FIELDS.map(field => FIELD_WEIGHTS[field]),
+    docs: docs.map(doc => ({
+      slug: doc.slug,
+      url: pagePath(doc.slug),
+      title: doc.title,
+      summary: doc.summary,
+      category: doc.category,
+      contentType: doc.contentType
+    })),
+    sections,
+    lengths,
+    avgLengths,
+    terms
+  };
+}
+
+/**
+ * Identifiers used in code blocks (comments and strings dropped)
+ */
+function codeIdentifiers(codeBlocks) {
+  return codeBlocks
+    .map(block => block.code
+      .replace(/\/\*[\s\S]*?\*\/|\/\/.*$/gm, ' ')
+      .replace(/(["'`])(?:\\.|(?!\1)[^\\\n])*\1/g, ' '))
+    .join('\n')
+    .match(/[A-Za-z_$][\w$]*/g)
+    ?.filter(identifier => !CODE_KEYWORDS.has(identifier))
+    .join(' ') || '';
+}
@@ -0,0 +1,214 @@
+// ==========================================
+// BM25 SEARCH (zero-dependency, browser or Node)
+// ==========================================
+//
+// Generated alongside /api/search.json as /api/search-query.js:
+//
+//   import { search } from '/api/search-query.js';
+//   const index = await fetch('/api/search.json').then(r => r.json());
+//   const { docs, sections } = search(index, 'async chunk retry');
+//
+// The generator tokenizes with the same functions, so keep this file free
+// of imports.
+
+export const STOP_WORDS = new Set([
+  'a', 'about', 'after', 'all', 'also', 'an', 'and', 'any', 'are', 'as', 'at',
+  'be', 'been', 'before', 'but', 'by', 'can', 'do', 'does', 'each', 'for',
+  'from', 'had', 'has', 'have', 'how', 'i', 'if', 'in', 'into', 'is', 'it',
+  'its', 'just', 'let', 'lets', 'like', 'may', 'more', 'most', 'no', 'not',
+  'of', 'on', 'once', 'only', 'or', 'other', 'our', 'out', 'over', 'own',
+  'same', 'should', 'so', 'some', 'such', 'than', 'that', 'the', 'their',
+  'them', 'then', 'there', 'these', 'they', 'this', 'those', 'through', 'to',
+  'too', 'under', 'up', 'very', 'was', 'we', 'were', 'what', 'when', 'where',
+  'which', 'while', 'who', 'why', 'will', 'with', 'would', 'you', 'your'
+]);
+
+/**
+ * Split text into stemmed, stop-word filtered terms
+ * camelCase identifiers also index their parts: useChunk → usechunk, use, chunk
+ */
+export function tokenize(text) {
+  const terms = [];
+  const words = String(text).match(/[A-Za-z0-9_$]+/g) || [];
+
+  words.forEach(word => {
+    const parts = word
+      .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+      .replace(/([A-Z]+)([A-Z][a-z])/g, '$1 $2')
+      .split(/[\s_$]+/)
+      .filter(Boolean);
+
+    const candidates = parts.length > 1 ? [word, ...parts] : parts;
+
+    candidates.forEach(candidate => {
+      const lower = candidate.toLowerCase();
+      if (lower.length < 2 || STOP_WORDS.has(lower)) return;
+      terms.push(stem(lower));
+    });
+  });
+
+  return terms;
+}
+
+/**
+ * Rank sections and documents for a query
+ * Options: limit, fields (restrict to field names), prefix (expand the last
+ * query term to indexed terms that start with it, for type-ahead)
+ */
+export function search(index, query, { limit = 10, fields, prefix = false } = {}) {
+  const terms = [...new Set(tokenize(query))];
+  if (prefix && terms.length) {
+    const last = terms.pop();
+    terms.push(...Object.keys(index.terms).filter(term => term.startsWith(last)));
+  }
+
+  const { k1, b } = index.params;
+  const fieldIndexes = index.fields
+    .map((name, i) => (!fields || fields.includes(name) ? i : -1))
+    .filter(i => i !== -1);
+  const totalSections = index.sections.length;
+  const scores = new Map();
+
+  terms.forEach(term => {
+    const postingsByField = index.terms[term];
+    if (!postingsByField) return;
+
+    fieldIndexes.forEach(field => {
+      const postings = postingsByField[field];
+      if (!postings) return;
+
+      const documentFrequency = postings.length / 2;
+      const idf = Math.log(1 + (totalSections - documentFrequency + 0.5) / (documentFrequency + 0.5));
+      const weight = index.weights[field];
+      const avgLength = index.avgLengths[field] || 1;
+
+      for (let i = 0; i < postings.length; i += 2) {
+        const section = postings[i];
+        const frequency = postings[i + 1];
+        const length = index.lengths[section][field];
+        const tf = (frequency * (k1 + 1)) / (frequency + k1 * (1 - b + (b * length) / avgLength));
+
+        scores.set(section, (scores.get(section) || 0) + weight * idf * tf);
+      }
+    });
+  });
+
+  const sections = [...scores.entries()]
+    .sort((x, y) => y[1] - x[1])
+    .map(([section, score]) => {
+      const [docIndex, id, heading] = index.sections[section];
+      const doc = index.docs[docIndex];
+      // The intro (no heading) has no anchor; it links to the page itself
+      return { slug: doc.slug, id, heading, url: heading ? `${doc.url}#${id}` : doc.url, score: round(score) };
+    });
+
+  // A document ranks by its best section; the rest add a damped bonus
+  const docScores = new Map();
+  sections.forEach(section => {
+    const current = docScores.get(section.slug);
+    if (!current) {
+      docScores.set(section.slug, { best: section.score, rest: 0, sections: [section] });
+    } else {
+      current.rest += section.score;
+      current.sections.push(section);
+    }
+  });
+
+  const docs = [...docScores.entries()]
+    .map(([slug, { best, rest, sections: matched }]) => ({
+      ...index.docs.find(doc => doc.slug === slug),
+      score: round(best + rest * 0.1),
+      sections: matched.slice(0, 3)
+    }))
+    .sort((x, y) => y.score - x.score);
+
+  return { docs: docs.slice(0, limit), sections: sections.slice(0, limit) };
+}
+
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+// ==========================================
+// PORTER STEMMER
+// ==========================================
+
+const STEP2 = {
+  ational: 'ate', tional: 'tion', enci: 'ence', anci: 'ance', izer: 'ize',
+  bli: 'ble', alli: 'al', entli: 'ent', eli: 'e', ousli: 'ous',
+  ization: 'ize', ation: 'ate', ator: 'ate', alism: 'al', iveness: 'ive',
+  fulness: 'ful', ousness: 'ous', aliti: 'al', iviti: 'ive', biliti: 'ble',
+  logi: 'log'
+};
+
+const STEP3 = {
+  icate: 'ic', ative: '', alize: 'al', iciti: 'ic', ical: 'ic', ful: '', ness: ''
+};
+
+const C = '[^aeiou]';
+const V = '[aeiouy]';
+const CS = `${C}[^aeiouy]*`;
+const VS = `${V}[aeiou]*`;
+const MGR0 = new RegExp(`^(${CS})?${VS}${CS}`);
+const MEQ1 = new RegExp(`^(${CS})?${VS}${CS}(${VS})?$`);
+const MGR1 = new RegExp(`^(${CS})?${VS}${CS}${VS}${CS}`);
+const HAS_VOWEL = new RegExp(`^(${CS})?${V}`);
+const ENDS_CVC = new RegExp(`^${CS}${V}[^aeiouwxy]$`);
+
+/**
+ * Porter (1980) suffix stripping: chunks → chunk, subscribed → subscrib
+ */
+export function stem(word) {
+  if (word.length < 3 || /\d/.test(word)) return word;
+
+  let w = word;
+  const firstY = w[0] === 'y';
+  if (firstY) w = 'Y' + w.slice(1);
+
+  // Step 1a
+  let match;
+  if ((match = /^(.+?)(ss|i)es$/.exec(w))) w = match[1] + match[2];
+  else if ((match = /^(.+?)([^s])s$/.exec(w))) w = match[1] + match[2];
+
+  // Step 1b
+  if ((match = /^(.+?)eed$/.exec(w))) {
+    if (MGR0.test(match[1])) w = w.slice(0, -1);
+  } else if ((match = /^(.+?)(ed|ing)$/.exec(w))) {
+    const base = match[1];
+    if (HAS_VOWEL.test(base)) {
+      w = base;
+      if (/(at|bl|iz)$/.test(w)) w += 'e';
+      else if (/([^aeiouylsz])\1$/.test(w)) w = w.slice(0, -1);
+      else if (ENDS_CVC.test(w)) w += 'e';
+    }
+  }
+
+  // Step 1c
+  if ((match = /^(.+?)y$/.exec(w)) && HAS_VOWEL.test(match[1])) w = match[1] + 'i';
+
+  // Step 2
+  match = /^(.+?)(ational|tional|enci|anci|izer|bli|alli|entli|eli|ousli|ization|ation|ator|alism|iveness|fulness|ousness|aliti|iviti|biliti|logi)$/.exec(w);
+  if (match && MGR0.test(match[1])) w = match[1] + STEP2[match[2]];
+
+  // Step 3
+  match = /^(.+?)(icate|ative|alize|iciti|ical|ful|ness)$/.exec(w);
+  if (match && MGR0.test(match[1])) w = match[1] + STEP3[match[2]];
+
+  // Step 4
+  match = /^(.+?)(al|ance|ence|er|ic|able|ible|ant|ement|ment|ent|ou|ism|ate|iti|ous|ive|ize)$/.exec(w);
+  if (match) {
+    if (MGR1.test(match[1])) w = match[1];
+  } else if ((match = /^(.+?)(s|t)(ion)$/.exec(w)) && MGR1.test(match[1] + match[2])) {
+    w = match[1] + match[2];
+  }
+
+  // Step 5
+  if ((match = /^(.+?)e$/.exec(w))) {
+    const base = match[1];
+    if (MGR1.test(base) || (MEQ1.test(base) && !ENDS_CVC.test(base))) w = base;
+  }
+  if (/ll$/.test(w) && MGR1.test(w)) w = w.slice(0, -1);
+
+  if (firstY) w = 'y' + w.slice(1);
+  return w;
+}
@@ -0,0 +1,302 @@
+import fs from 'fs';
+import http from 'http';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { generateLLMOptimizedAPI, docFileName } from './api.js';
+import { loadConfig } from './config.js';
+import { search } from './search-query.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+const CONTENT_TYPES = {
+  '.json': 'application/json; charset=utf-8',
+  '.jsonl': 'application/x-ndjson; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.ts': 'text/plain; charset=utf-8',
+  '.txt': 'text/plain; charset=utf-8'
+};
+
+// ==========================================
+// DOCS API QUERY SERVER
+// ==========================================
+
+/**
+ * Load the generated API files into memory
+ * Outputs turned off in the config load as null: `searchIndex` without
+ * search.json, `symbols` without symbols.json, `codeExamples` when the
+ * per-doc files leave them out.
+ */
+export function loadApiData(outputDir) {
+  const readJson = file => JSON.parse(fs.readFileSync(path.join(outputDir, file), 'utf-8'));
+  const readOptional = file => fs.existsSync(path.join(outputDir, file)) ? readJson(file) : null;
+
+  const index = readJson('index.json');
+  const searchIndex = readOptional('search.json');
+  const symbols = readOptional('symbols.json')?.symbols || null;
+  const docs = new Map(index.docs.map(entry => [entry.slug, readJson(docFileName(entry.slug))]));
+
+  const codeExamples = [...docs.values()].every(doc => Array.isArray(doc.codeExamples))
+    ? [...docs.values()].flatMap(doc =>
+      doc.codeExamples.map((example, position) => ({
+        slug: doc.slug,
+        title: doc.title,
+        index: position,
+        ...example
+      }))
+    )
+    : null;
+
+  return { outputDir, index, searchIndex, symbols, docs, codeExamples };
+}
+
+/**
+ * Create (but do not start) the HTTP server
+ */
+export function createApiServer(data) {
+  return http.createServer((req, res) => {
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, HEAD, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204);
+      res.end();
+      return;
+    }
+
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+      sendError(res, 405, `Method ${req.method} not allowed`);
+      return;
+    }
+
+    try {
+      const url = new URL(req.url, 'http://localhost');
+      route(data, url, res);
+    } catch (error) {
+      sendError(res, error.status || 500, error.message);
+    }
+  });
+}
+
+function route(data, url, res) {
+  const { pathname, searchParams } = url;
+
+  if (pathname === '/api/search') {
+    sendJson(res, searchHandler(data, searchParams));
+    return;
+  }
+
+  if (pathname === '/api/docs') {
+    sendJson(res, listDocs(data, searchParams));
+    return;
+  }
+
+  const docMatch = pathname.match(/^\/api\/docs\/(.+?)(?:\/sections(?:\/([^/]+))?)?\/?$/);
+  if (docMatch) {
+    sendJson(res, docHandler(data, docMatch, pathname, searchParams));
+    return;
+  }
+
+  if (pathname === '/api/code') {
+    sendJson(res, listCode(data, searchParams));
+    return;
+  }
+
+  serveStatic(data.outputDir, pathname, res);
+}
+
+/**
+ * GET /api/search?q=&type=docs|sections&in=&prefix=&fields=&page=&pageSize=
+ */
+function searchHandler(data, params) {
+  if (!data.searchIndex) throw unavailable('search.json');
+
+  const query = params.get('q');
+  if (!query) throw httpError(400, 'Missing required query parameter "q"');
+
+  const type = params.get('type') || 'docs';
+  if (type !== 'docs' && type !== 'sections') {
+    throw httpError(400, 'Parameter "type" must be "docs" or "sections"');
+  }
+
+  const searchFields = params.get('in')?.split(',').filter(Boolean);
+  const results = search(data.searchIndex, query, {
+    limit: Infinity,
+    fields: searchFields,
+    prefix: params.get('prefix') === 'true'
+  });
+
+  return { query, type, ...paginate(results[type], params) };
+}
+
+/**
+ * GET /api/docs?category=&complexity=&contentType=&fields=&page=&pageSize=
+ */
+function listDocs(data, params) {
+  const filters = ['category', 'complexity', 'contentType']
+    .map(key => [key, params.get(key)])
+    .filter(([, value]) => value);
+
+  const matching = data.index.docs.filter(doc =>
+    filters.every(([key, value]) => doc[key] === value)
+  );
+
+  return { filters: Object.fromEntries(filters), ...paginate(matching, params) };
+}
+
+/**
+ * GET /api/docs/{slug}, /api/docs/{slug}/sections, /api/docs/{slug}/sections/{id}
+ */
+function docHandler(data, match, pathname, params) {
+  const [, slug, sectionId] = match;
+  const doc = data.docs.get(slug);
+  if (!doc) throw httpError(404, `No document with slug "${slug}"`);
+
+  const wantsSections = sectionId || /\/sections\/?$/.test(pathname);
+  if (wantsSections && !doc.sections) throw unavailable('sections');
+
+  if (sectionId) {
+    const id = decodePath(sectionId);
+    const section = doc.sections.find(s => s.id === id);
+    if (!section) throw httpError(404, `No section "${id}" in "${slug}"`);
+    return selectFields({ slug, ...section }, params.get('fields'));
+  }
+
+  if (wantsSections) {
+    return { slug, ...paginate(doc.sections, params) };
+  }
+
+  return selectFields(doc, params.get('fields'));
+}
+
+/**
+ * GET /api/code?language=&purpose=&slug=&fields=&page=&pageSize=
+ */
+function listCode(data, params) {
+  if (!data.codeExamples) throw unavailable('codeExamples');
+
+  const filters = ['language', 'purpose', 'slug']
+    .map(key => [key, params.get(key)])
+    .filter(([, value]) => value);
+
+  const matching = data.codeExamples.filter(example =>
+    filters.every(([key, value]) => example[key] === value)
+  );
+
+  return { filters: Object.fromEntries(filters), ...paginate(matching, params) };
+}
+
+/**
+ * Helper: Page a result list and apply ?fields= to each item
+ */
+function paginate(items, params) {
+  const page = parsePositiveInt(params.get('page'), 1, 'page');
+  const pageSize = Math.min(parsePositiveInt(params.get('pageSize'), DEFAULT_PAGE_SIZE, 'pageSize'), MAX_PAGE_SIZE);
+  const start = (page - 1) * pageSize;
+  const fields = params.get('fields');
+
+  return {
+    total: items.length,
+    page,
+    pageSize,
+    pages: Math.ceil(items.length / pageSize),
+    results: items.slice(start, start + pageSize).map(item => selectFields(item, fields))
+  };
+}
+
+function selectFields(item, fields) {
+  if (!fields) return item;
+
+  const keys = fields.split(',').map(key => key.trim()).filter(Boolean);
+  return Object.fromEntries(keys.filter(key => key in item).map(key => [key, item[key]]));
+}
+
+function parsePositiveInt(value, fallback, name) {
+  if (value === null) return fallback;
+
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1) {
+    throw httpError(400, `Parameter "${name}" must be a positive integer`);
+  }
+  return number;
+}
+
+/**
+ * Helper: Serve generated files under /api/ (index.json, {slug}.json, ...)
+ */
+function serveStatic(outputDir, pathname, res) {
+  if (!pathname.startsWith('/api/')) throw httpError(404, `No route for ${pathname}`);
+
+  const relativePath = decodePath(pathname.slice('/api/'.length));
+  const filePath = path.resolve(outputDir, relativePath);
+
+  if (!filePath.startsWith(path.resolve(outputDir) + path.sep) || !fs.existsSync(filePath) || !fs.statSync(filePath).isFile()) {
+    throw httpError(404, `No route for ${pathname}`);
+  }
+
+  res.writeHead(200, {
+    'Content-Type': CONTENT_TYPES[path.extname(filePath)] || 'application/octet-stream'
+  });
+  fs.createReadStream(filePath).pipe(res);
+}
+
+function sendJson(res, body) {
+  res.writeHead(200, { 'Content-Type': CONTENT_TYPES['.json'] });
+  res.end(JSON.stringify(body, null, 2));
+}
+
+function sendError(res, status, message) {
+  res.writeHead(status, { 'Content-Type': CONTENT_TYPES['.json'] });
+  res.end(JSON.stringify({ error: { status, message } }));
+}
+
+function httpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Helper: 501 for a route whose output was not generated
+ */
+function unavailable(output) {
+  return httpError(501, `Not available: the API was generated without ${output} (see outputs/fields in stunk-docs.config)`);
+}
+
+function decodePath(segment) {
+  try {
+    return decodeURIComponent(segment);
+  } catch {
+    throw httpError(400, `Malformed percent-encoding in ${segment}`);
+  }
+}
+
+// Run if executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const port = Number(process.env.PORT) || 4180;
+  const host = process.env.HOST || '127.0.0.1';
+
+  try {
+    const { config } = await loadConfig(path.join(__dirname, '..'));
+    const outputDir = config.outDir;
+
+    if (process.argv.includes('--regenerate') || !fs.existsSync(path.join(outputDir, 'index.json'))) {
+      await generateLLMOptimizedAPI(config.docsDir, outputDir, { config });
+    }
+
+    const server = createApiServer(loadApiData(outputDir));
+    server.listen(port, host, () => {
+      console.log(`📡 Docs API listening on http://${host}:${port}/api`);
+      console.log('   GET /api/search?q=');
+      console.log('   GET /api/docs?category=&complexity=&contentType=');
+      console.log('   GET /api/docs/{slug}/sections/{id}');
+      console.log('   GET /api/code?language=&purpose=');
+    });
+  } catch (error) {
+    console.error('❌ Error:', error);
+    process.exit(1);
+  }
+}
@@ -0,0 +1,138 @@
+import path from 'path';
+import { resolveUserConfig } from 'vitepress';
+
+// ==========================================
+// VITEPRESS SITE CONFIG
+// ==========================================
+
+/**
+ * Load title, description, nav and sidebar from .vitepress/config.*
+ * Uses VitePress's own config resolution, so TS configs and
+ * `extends` work exactly as they do for `vitepress build`
+ */
+export async function loadSiteConfig(docsDir) {
+  const [userConfig] = await resolveUserConfig(docsDir, 'build', 'production');
+  return normalizeSiteConfig(userConfig);
+}
+
+/**
+ * Reduce a VitePress user config to what the API generator needs
+ */
+export function normalizeSiteConfig(userConfig) {
+  const themeConfig = userConfig.themeConfig || {};
+
+  return {
+    title: userConfig.title || 'VitePress',
+    description: userConfig.description || '',
+    siteUrl: findCanonicalUrl(userConfig.head || []),
+    nav: flattenNav(themeConfig.nav || []),
+    sidebar: flattenSidebar(themeConfig.sidebar || [])
+  };
+}
+
+/**
+ * Flatten sidebar groups into reading order
+ * Each entry keeps the group path it was nested under and the sidebar it
+ * belongs to (`root`: '/' for a single sidebar, else its path key)
+ */
+export function flattenSidebar(sidebar) {
+  const entries = [];
+  const roots = Array.isArray(sidebar)
+    ? [{ key: '/', items: sidebar }]
+    : Object.entries(sidebar).map(([key, value]) => Array.isArray(value) ? { key, items: value } : { key, ...value });
+
+  const walk = (items, groups, base, root) => {
+    items.forEach(item => {
+      const itemBase = item.base ?? base;
+
+      if (item.link) {
+        entries.push({
+          text: item.text,
+          link: joinBase(itemBase, item.link),
+          groups,
+          root,
+          order: entries.length
+        });
+      }
+
+      if (item.items) {
+        walk(item.items, item.text ? [...groups, item.text] : groups, itemBase, root);
+      }
+    });
+  };
+
+  roots.forEach(root => walk(root.items || [], [], root.base || '', root.key));
+
+  return entries;
+}
+
+/**
+ * Flatten nav (including dropdown menus) into link entries
+ */
+export function flattenNav(nav) {
+  return nav.flatMap(item => {
+    if (item.items) return flattenNav(item.items);
+    return item.link ? [{ text: item.text, link: item.link }] : [];
+  });
+}
+
+/**
+ * Map an internal site link (/chunk, /guide/, /chunk.html#x) to a doc slug
+ * Returns null for external links
+ */
+export function linkToSlug(link) {
+  if (!link || /^[a-z][a-z\d+.-]*:/i.test(link)) return null;
+
+  const pathname = link.split(/[?#]/)[0].replace(/\.(md|html)$/, '');
+  const slug = pathname.replace(/^\//, '');
+
+  if (slug === '' || slug.endsWith('/')) return `${slug}index`;
+  return slug;
+}
+
+/**
+ * Site-relative path of a page: 'index' → '/', 'guide/index' → '/guide/'
+ */
+export function pagePath(slug) {
+  return slug === 'index' ? '/' : `/${slug.replace(/(^|\/)index$/, '$1')}`;
+}
+
+/**
+ * Resolve a link as written on page `fromSlug` to a site path and hash
+ * ('./chunk#x' on 'guide/intro' → { pathname: '/guide/chunk', hash: 'x' })
+ * Returns null for external links
+ */
+export function resolveLink(url, fromSlug) {
+  if (!url || /^[a-z][a-z\d+.-]*:/i.test(url) || url.startsWith('//')) return null;
+
+  const [rawPath, hash = ''] = url.split('#');
+  const pathname = rawPath.split('?')[0];
+
+  if (!pathname) return { pathname: pagePath(fromSlug), hash };
+  if (pathname.startsWith('/')) return { pathname, hash };
+  return { pathname: path.posix.resolve(path.posix.dirname(`/${fromSlug}`), pathname), hash };
+}
+
+/**
+ * Links a page declares in frontmatter (home hero actions, feature cards)
+ */
+export function frontmatterLinks(frontmatter) {
+  const actions = (frontmatter.hero?.actions || [])
+    .filter(action => action.link)
+    .map(action => ({ source: `hero action "${action.text}"`, url: action.link }));
+  const features = (Array.isArray(frontmatter.features) ? frontmatter.features : [])
+    .filter(feature => feature.link)
+    .map(feature => ({ source: `feature "${feature.title}"`, url: feature.link }));
+
+  return [...actions, ...features];
+}
+
+function joinBase(base, link) {
+  if (!base || /^[a-z][a-z\d+.-]*:/i.test(link)) return link;
+  return `${base.replace(/\/$/, '')}/${link.replace(/^\//, '')}`;
+}
+
+function findCanonicalUrl(head) {
+  const canonical = head.find(([tag, attrs]) => tag === 'link' && attrs?.rel === 'canonical');
+  return canonical ? canonical[1].href.replace(/\/$/, '') : '';
+}
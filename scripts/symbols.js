@@ -0,0 +1,365 @@
+import { visit } from 'unist-util-visit';
+import { parseMarkdownTree } from './markdown.js';
+import { pagePath } from './site.js';
+
+// ==========================================
+// API SYMBOL TABLE (symbols.json)
+// ==========================================
+
+const TS_LANGUAGES = new Set(['ts', 'typescript', 'tsx']);
+const IDENTIFIER = /^[A-Za-z_$][\w$]*/;
+const DECLARATION = /^(?:export\s+)?(?:declare\s+)?(interface|type)\s+([A-Za-z_$][\w$]*)/gm;
+
+// A heading that is nothing but a code span: #### **`chunk<T>(initialValue: T)`**
+const SIGNATURE_HEADING = /^#{1,6}\s+(?:\*\*|__)?`([^`]+)`(?:\*\*|__)?\s*$/;
+
+/**
+ * Collect documented API symbols from every page
+ * Functions and hooks come from signature headings, interfaces and types
+ * from declaration-only TypeScript blocks. Each symbol records the entrypoint
+ * it is imported from and the sections whose code mentions it.
+ */
+export function buildSymbolTable(docs) {
+  const symbols = new Map();
+  const owners = new Map();
+  const imports = collectImports(docs);
+
+  docs.forEach(doc => {
+    const lines = doc.fullContent.split('\n');
+    let owner = null;
+
+    doc.sections.forEach(section => {
+      if (owner && section.level <= owner.level) owner = null;
+
+      const definedIn = { slug: doc.slug, sectionId: section.id, url: section.url };
+      const code = lines[section.lineNumber - 1].match(SIGNATURE_HEADING)?.[1];
+      const signature = code && parseSignature(code.trim());
+
+      if (signature) {
+        const symbol = addSymbol(symbols, {
+          ...headingSymbol(signature, code.trim()),
+          description: section.contentPlain.split('\n\n')[0] || null,
+          definedIn
+        });
+        if (symbol.parameters) owner = { level: section.level, name: symbol.name };
+      }
+
+      section.codeBlocks
+        .filter(block => TS_LANGUAGES.has(block.language))
+        .flatMap(block => parseDeclarations(block.code))
+        .forEach(declaration => {
+          addSymbol(symbols, { ...declaration, definedIn });
+          // Types documented under a function ship from the same entrypoint
+          if (owner && !owners.has(declaration.name)) owners.set(declaration.name, owner.name);
+        });
+    });
+  });
+
+  const entrypointOf = name => imports.get(name) ||
+    (owners.has(name) ? entrypointOf(owners.get(name)) : null) ||
+    (/^use[A-Z]/.test(name) ? 'stunk/react' : 'stunk');
+
+  const mentions = collectMentions(docs, [...symbols.keys()]);
+
+  return [...symbols.values()].map(symbol => ({
+    name: symbol.name,
+    kind: symbol.kind || 'type',
+    entrypoint: entrypointOf(symbol.name),
+    signature: symbol.signature || null,
+    overloads: symbol.overloads || [],
+    description: symbol.description || null,
+    typeParams: symbol.typeParams || [],
+    parameters: symbol.parameters || null,
+    returns: symbol.returns || null,
+    extends: symbol.extends || [],
+    members: symbol.members || null,
+    definition: symbol.definition || null,
+    definedIn: symbol.definedIn,
+    mentions: mentions.get(symbol.name)
+  }));
+}
+
+/**
+ * Helper: Merge repeated definitions, filling in what earlier ones lacked
+ * (a `Middleware<T>` heading followed by its `type Middleware<T> = ...`)
+ */
+function addSymbol(symbols, symbol) {
+  const existing = symbols.get(symbol.name);
+  if (!existing) {
+    symbols.set(symbol.name, symbol);
+    return symbol;
+  }
+
+  // Another signature heading for the same name documents an overload
+  if (symbol.signature && existing.signature && symbol.signature !== existing.signature) {
+    const { signature, description, typeParams, parameters, returns, definedIn } = symbol;
+    existing.overloads = [...existing.overloads || [], { signature, description, typeParams, parameters, returns, definedIn }];
+    return existing;
+  }
+
+  Object.entries(symbol).forEach(([key, value]) => {
+    const missing = existing[key] == null || (Array.isArray(existing[key]) && existing[key].length === 0);
+    if (missing) existing[key] = value;
+  });
+  return existing;
+}
+
+function headingSymbol({ name, typeParams, parameters, returns }, code) {
+  // `Middleware<T>` only names a type; its declaration supplies the rest
+  if (!parameters) return { name, typeParams };
+
+  return {
+    name,
+    kind: /^use[A-Z]/.test(name) ? 'hook' : 'function',
+    signature: code,
+    typeParams,
+    parameters,
+    returns
+  };
+}
+
+// ==========================================
+// TYPESCRIPT SIGNATURES
+// ==========================================
+
+/**
+ * Parse `name<T, S = T>(a: T, b?: B): R`; type params, params and return
+ * type are each optional. Returns null when the text is not a signature.
+ */
+export function parseSignature(text) {
+  const name = text.match(IDENTIFIER)?.[0];
+  if (!name) return null;
+
+  let rest = text.slice(name.length).trim();
+  let typeParams = [];
+  let parameters = null;
+  let returns = null;
+
+  if (rest.startsWith('<')) {
+    const end = closingIndex(rest);
+    if (end === -1) return null;
+    typeParams = splitTopLevel(rest.slice(1, end), ',').map(parseTypeParam);
+    rest = rest.slice(end + 1).trim();
+  }
+
+  if (rest.startsWith('(')) {
+    const end = closingIndex(rest);
+    if (end === -1) return null;
+    parameters = splitTopLevel(rest.slice(1, end), ',').map(parseParameter);
+    rest = rest.slice(end + 1).trim();
+  }
+
+  if (rest.startsWith(':')) {
+    returns = rest.slice(1).trim();
+    rest = '';
+  }
+
+  if (rest || (!parameters && typeParams.length === 0)) return null;
+  return { name, typeParams, parameters, returns };
+}
+
+/**
+ * `interface` and `type` declarations of a block that declares and does
+ * nothing else; blocks mixing declarations with code are usage examples
+ */
+export function parseDeclarations(code) {
+  const declarations = [];
+  let remaining = code;
+
+  for (const match of code.matchAll(DECLARATION)) {
+    const [keyword, kind, name] = match;
+    const source = readDeclaration(code, match.index, kind);
+    if (!source) return [];
+
+    remaining = remaining.replace(source, '');
+    const header = source.slice(keyword.length).trim();
+    const typeParamsEnd = header.startsWith('<') ? closingIndex(header) : -1;
+    const typeParams = typeParamsEnd === -1
+      ? []
+      : splitTopLevel(header.slice(1, typeParamsEnd), ',').map(parseTypeParam);
+
+    if (kind === 'interface') {
+      // readDeclaration ends the source at the brace closing its first `{`
+      const bodyStart = source.indexOf('{');
+      const extendsMatch = header.slice(typeParamsEnd + 1).match(/^\s*extends\s+([^{]+)\{/);
+
+      declarations.push({
+        name,
+        kind,
+        signature: source.slice(0, bodyStart).trim(),
+        typeParams,
+        extends: extendsMatch ? splitTopLevel(extendsMatch[1], ',') : [],
+        members: splitTopLevel(source.slice(bodyStart + 1, source.lastIndexOf('}')), ';\n').map(parseMember)
+      });
+    } else {
+      declarations.push({
+        name,
+        kind,
+        signature: source.trim().replace(/;$/, ''),
+        typeParams,
+        definition: source.slice(source.indexOf('=', keyword.length) + 1).trim().replace(/;$/, '')
+      });
+    }
+  }
+
+  const leftover = remaining.replace(/\/\/.*$/gm, '').replace(/\/\*[\s\S]*?\*\//g, '').trim();
+  return leftover ? [] : declarations;
+}
+
+function readDeclaration(code, start, kind) {
+  if (kind === 'interface') {
+    const open = code.indexOf('{', start);
+    const close = open === -1 ? -1 : closingIndex(code, open);
+    return close === -1 ? null : code.slice(start, close + 1);
+  }
+
+  // type X = ...; ends at the first top-level semicolon or blank line
+  const [definition] = splitTopLevel(code.slice(start).split(/\n\s*\n/)[0], ';');
+  return code.slice(start).startsWith(`${definition};`) ? `${definition};` : definition;
+}
+
+function parseMember(text) {
+  const method = text.match(/^([\w$]+)(\?)?\s*(?=[<(])/);
+  if (method) {
+    const { typeParams, parameters, returns } = parseSignature(text.replace(/^([\w$]+)\?/, '$1')) || {};
+    return { name: method[1], kind: 'method', optional: Boolean(method[2]), typeParams, parameters, returns };
+  }
+
+  const property = text.match(/^(?:readonly\s+)?([\w$]+)(\?)?\s*:\s*([\s\S]+)$/);
+  if (property) {
+    return { name: property[1], kind: 'property', optional: Boolean(property[2]), type: property[3].trim() };
+  }
+
+  return { name: text, kind: 'unknown', optional: false };
+}
+
+function parseParameter(text) {
+  const [declaration, defaultValue = null] = splitTopLevel(text, '=');
+  const [left, ...type] = splitTopLevel(declaration, ':');
+  const [, rest, name, optional] = left.match(/^(\.\.\.)?([\s\S]+?)(\?)?$/);
+
+  return {
+    name,
+    type: type.length ? type.join(':') : null,
+    optional: Boolean(optional) || defaultValue !== null,
+    rest: Boolean(rest),
+    default: defaultValue
+  };
+}
+
+function parseTypeParam(text) {
+  const [declaration, defaultValue = null] = splitTopLevel(text, '=');
+  const [, name, constraint = null] = declaration.match(/^([\w$]+)(?:\s+extends\s+([\s\S]+))?$/) || [, declaration];
+
+  return { name, constraint, default: defaultValue };
+}
+
+/**
+ * Helper: Index of the bracket closing the one at `start`
+ * `=>` is an arrow, not a closing angle bracket
+ */
+function closingIndex(text, start = 0) {
+  let depth = 0;
+
+  for (let i = start; i < text.length; i++) {
+    const char = text[i];
+    if ('([{<'.includes(char)) depth++;
+    else if (')]}'.includes(char) || (char === '>' && text[i - 1] !== '=')) depth--;
+
+    if (depth === 0) return i;
+  }
+
+  return -1;
+}
+
+/**
+ * Helper: Split on any of `separators` outside brackets, trimming and
+ * dropping empty parts. `=` never splits an `=>` arrow.
+ */
+function splitTopLevel(text, separators) {
+  const parts = [];
+  let depth = 0;
+  let current = '';
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if ('([{<'.includes(char)) depth++;
+    else if (')]}'.includes(char) || (char === '>' && text[i - 1] !== '=')) depth--;
+
+    const splits = depth === 0 && separators.includes(char) && !(char === '=' && text[i + 1] === '>');
+    if (splits && !(separators === '=' && parts.length > 0)) {
+      parts.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+
+  parts.push(current);
+  return parts.map(part => part.trim()).filter(Boolean);
+}
+
+// ==========================================
+// ENTRYPOINTS AND MENTIONS
+// ==========================================
+
+/**
+ * Which package entrypoint each name is imported from in the docs' examples
+ */
+export function collectImports(docs) {
+  const imports = new Map();
+  const pattern = /import\s+(?:type\s+)?\{([^}]+)\}\s+from\s+['"](stunk(?:\/[\w-]+)?)['"]/g;
+
+  docs.forEach(doc => doc.codeExamples.forEach(({ code }) => {
+    for (const [, names, entrypoint] of code.matchAll(pattern)) {
+      names.split(',')
+        .map(name => name.trim().replace(/^type\s+/, '').split(/\s+as\s+/)[0])
+        .filter(Boolean)
+        .forEach(name => {
+          if (!imports.has(name)) imports.set(name, entrypoint);
+        });
+    }
+  }));
+
+  return imports;
+}
+
+/**
+ * Pages and sections whose code (blocks or inline spans) uses each name
+ */
+function collectMentions(docs, names) {
+  const mentions = new Map(names.map(name => [name, []]));
+  const patterns = names.map(name => [name, identifierPattern(name)]);
+
+  docs.forEach(doc => {
+    const sectionsByName = new Map();
+
+    doc.sections.forEach(section => {
+      const code = [];
+      visit(parseMarkdownTree(section.content), ['code', 'inlineCode'], node => {
+        code.push(node.value);
+      });
+      const text = code.join('\n');
+
+      patterns
+        .filter(([, pattern]) => pattern.test(text))
+        .forEach(([name]) => {
+          if (!sectionsByName.has(name)) sectionsByName.set(name, []);
+          sectionsByName.get(name).push(section.url);
+        });
+    });
+
+    sectionsByName.forEach((sections, name) => {
+      mentions.get(name).push({ slug: doc.slug, title: doc.title, url: pagePath(doc.slug), sections });
+    });
+  });
+
+  return mentions;
+}
+
+/**
+ * Helper: Matches `name` as a whole identifier (not `useChunk` for `chunk`)
+ */
+export function identifierPattern(name) {
+  return new RegExp(`(^|[^\\w$])${name.replace(/\$/g, '\\$')}(?![\\w$])`);
+}
@@ -0,0 +1,11 @@
+// ==========================================
+// SHARED HELPERS
+// ==========================================
+
+/**
+ * Helper: Locale-independent string order (localeCompare varies by ICU data)
+ */
+export function compareStrings(a, b) {
+  if (a < b) return -1;
+  return a > b ? 1 : 0;
+}
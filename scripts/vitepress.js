@@ -0,0 +1,96 @@
+import fs from 'fs';
+import path from 'path';
+import matter from 'gray-matter';
+import { createMarkdownRenderer } from 'vitepress';
+import { normalizeSiteConfig } from './site.js';
+
+// ==========================================
+// VITEPRESS INTEGRATION
+// ==========================================
+
+/**
+ * Generate the LLM API as part of `vitepress build`
+ *
+ *   const api = llmApi()
+ *   export default defineConfig({
+ *     transformPageData: api.transformPageData,
+ *     buildEnd: api.buildEnd
+ *   })
+ *
+ * Pages come from VitePress's resolved page list (srcExclude and rewrites
+ * applied), titles from its pageData, section ids from its own markdown
+ * renderer, and files land in the final outDir. `outDir/apiDir` belongs to
+ * the hook: whatever VitePress copied there from public/ is removed first.
+ *
+ * `exclude` (page slugs) and `excludeOrphans` keep pages out of the API;
+ * coverage.json still reports them. Left out, they and every other option
+ * come from stunk-docs.config.(js|json) next to the docs directory.
+ */
+export function llmApi({ apiDir = 'api', quiet = false, exclude, excludeOrphans } = {}) {
+  const pageData = new Map();
+
+  return {
+    transformPageData(page) {
+      pageData.set(page.filePath, {
+        title: page.title,
+        description: page.description
+      });
+    },
+
+    async buildEnd(siteConfig) {
+      const { srcDir, outDir, site, logger } = siteConfig;
+      const { generateLLMOptimizedAPI } = await loadGenerator();
+      const apiOutDir = path.resolve(outDir, apiDir);
+
+      if (!apiOutDir.startsWith(path.resolve(outDir) + path.sep)) {
+        throw new Error(`llmApi: apiDir "${apiDir}" must be a subdirectory of ${outDir}`);
+      }
+      fs.rmSync(apiOutDir, { recursive: true, force: true });
+
+      const md = await createMarkdownRenderer(srcDir, siteConfig.markdown, site.base, logger);
+
+      const pages = siteConfig.pages
+        .map(page => ({ page, fullPath: path.join(srcDir, page) }))
+        // Dynamic routes have no source file of their own
+        .filter(({ fullPath }) => fs.existsSync(fullPath))
+        .map(({ page, fullPath }) => ({
+          fullPath,
+          relativePath: siteConfig.rewrites.map[page] || page,
+          overrides: {
+            title: pageData.get(page)?.title || undefined,
+            headingIds: headingAnchors(md, fs.readFileSync(fullPath, 'utf-8'))
+          }
+        }));
+
+      await generateLLMOptimizedAPI(srcDir, apiOutDir, {
+        pages,
+        site: normalizeSiteConfig(siteConfig.userConfig),
+        publicDir: outDir,
+        cacheFile: path.join(siteConfig.cacheDir, 'api-build-vitepress.json'),
+        quiet,
+        exclude,
+        excludeOrphans
+      });
+    }
+  };
+}
+
+/**
+ * VitePress bundles the config and every relative import into it, which would
+ * inline api.js together with its CLI block. Loading the generator from disk at
+ * build time keeps it a separate module (and keeps `node scripts/api.js`,
+ * which itself loads this config, from re-running itself).
+ */
+function loadGenerator() {
+  return import(new URL('./api.js', import.meta.url).href);
+}
+
+/**
+ * Anchor ids VitePress assigns to every heading, in document order
+ * Its frontmatter plugin only strips frontmatter in render(), so do it here.
+ */
+function headingAnchors(md, source) {
+  return md.parse(matter(source).content, {})
+    .filter(token => token.type === 'heading_open')
+    .map(token => token.attrGet('id'));
+}
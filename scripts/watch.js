@@ -0,0 +1,251 @@
+import fs from 'fs';
+import path from 'path';
+import { spawn } from 'child_process';
+import { fileURLToPath } from 'url';
+import { generateLLMOptimizedAPI } from './api.js';
+import { CONFIG_FILES, isExcludedDir, isIncluded, loadConfig, resolveConfig } from './config.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// ==========================================
+// WATCH MODE
+// ==========================================
+
+const DEBOUNCE_MS = 150;
+
+/**
+ * Regenerate the API whenever a page, the site config or the generator
+ * config changes. Pages are the ones passing the config's include/exclude
+ * globs; an edited config file is reloaded before the next run.
+ * The build cache limits each run to the touched pages plus aggregates,
+ * and removes outputs of deleted or renamed pages.
+ * `command` (e.g. ['vitepress', 'dev', 'docs']) is spawned alongside
+ * and stops the watcher when it exits.
+ */
+export async function watchDocs(docsDir, outputDir, { command = [], config: userConfig, ...options } = {}) {
+  const rootDir = path.dirname(docsDir);
+  let config = userConfig ? resolveConfig(userConfig, rootDir) : (await loadConfig(rootDir)).config;
+  let timer = null;
+  let running = false;
+  let pending = false;
+  let configChanged = false;
+
+  const regenerate = async () => {
+    if (running) {
+      pending = true;
+      return;
+    }
+
+    running = true;
+    const started = Date.now();
+
+    try {
+      if (configChanged) {
+        configChanged = false;
+        config = (await loadConfig(rootDir)).config;
+        console.log('⚙️  Reloaded the docs config');
+      }
+
+      const result = await generateLLMOptimizedAPI(docsDir, outputDir, { ...options, config, quiet: true });
+      logChanges(result, outputDir, Date.now() - started);
+    } catch (error) {
+      console.error('❌ API regeneration failed:', error.message);
+    } finally {
+      running = false;
+      if (pending) {
+        pending = false;
+        regenerate();
+      }
+    }
+  };
+
+  const schedule = () => {
+    clearTimeout(timer);
+    timer = setTimeout(regenerate, DEBOUNCE_MS);
+  };
+
+  console.log('👀 Watching docs for API changes...');
+  await regenerate();
+
+  // add, change, unlink and rename all arrive as 'rename'/'change' events
+  const closeTree = watchTree(docsDir, file => {
+    if (isWatchedFile(file, config)) schedule();
+  }, {
+    skipDir: dir => dir !== '.vitepress' && isExcludedDir(dir, config)
+  });
+
+  // The config file lives next to the docs directory, outside its watcher
+  const configWatcher = fs.watch(rootDir, (eventType, file) => {
+    if (file && !CONFIG_FILES.includes(file)) return;
+
+    configChanged = true;
+    schedule();
+  });
+
+  const close = () => {
+    clearTimeout(timer);
+    closeTree();
+    configWatcher.close();
+  };
+
+  if (command.length > 0) {
+    const child = spawn(command[0], command.slice(1), {
+      stdio: 'inherit',
+      shell: process.platform === 'win32'
+    });
+
+    child.on('exit', code => {
+      close();
+      process.exit(code ?? 0);
+    });
+
+    ['SIGINT', 'SIGTERM'].forEach(signal => {
+      process.on(signal, () => child.kill(signal));
+    });
+  }
+
+  return close;
+}
+
+/**
+ * Whether a change to `file` (relative to the docs directory) affects the API:
+ * a page passing the include/exclude globs or the VitePress config.
+ * Events without a file name always count.
+ */
+export function isWatchedFile(file, { include, exclude }) {
+  if (!file) return true;
+
+  const normalized = file.split(path.sep).join('/');
+  if (normalized.startsWith('.vitepress/')) return /^\.vitepress\/config\.[cm]?[jt]s$/.test(normalized);
+
+  return normalized.endsWith('.md') && isIncluded(normalized, { include, exclude });
+}
+
+/**
+ * Watch a directory tree, calling `onChange(file)` with paths relative to
+ * `dir` like a recursive fs.watch. Where recursive watching is unavailable
+ * (Linux before Node 20) or `recursive` is false, every directory gets its
+ * own watcher; directories added later are watched and their files reported.
+ * `skipDir(relativePath)` prunes directories in that mode.
+ * Returns a function that stops watching.
+ */
+export function watchTree(dir, onChange, { recursive = true, skipDir = () => false } = {}) {
+  if (recursive) {
+    try {
+      const watcher = fs.watch(dir, { recursive: true }, (eventType, file) => onChange(file));
+      return () => watcher.close();
+    } catch (error) {
+      if (error.code !== 'ERR_FEATURE_UNAVAILABLE_ON_PLATFORM') throw error;
+    }
+  }
+
+  const watchers = new Map();
+
+  const unwatch = current => {
+    watchers.get(current)?.close();
+    watchers.delete(current);
+  };
+
+  const add = (current, announce) => {
+    const relative = path.relative(dir, current);
+    if (watchers.has(current) || (relative && skipDir(relative))) return;
+
+    let watcher;
+    try {
+      watcher = fs.watch(current, (eventType, file) => {
+        if (!fs.existsSync(current)) {
+          unwatch(current);
+          return;
+        }
+        if (!file) {
+          onChange(null);
+          return;
+        }
+
+        const full = path.join(current, file);
+        if (isDirectory(full)) add(full, true);
+        onChange(path.join(relative, file));
+      });
+    } catch {
+      return;
+    }
+
+    watcher.on('error', () => unwatch(current));
+    watchers.set(current, watcher);
+
+    readDir(current).forEach(entry => {
+      const full = path.join(current, entry.name);
+      if (entry.isDirectory()) add(full, announce);
+      else if (announce) onChange(path.relative(dir, full));
+    });
+  };
+
+  add(dir, false);
+  return () => [...watchers.keys()].forEach(unwatch);
+}
+
+// A directory can disappear between the event and the lookup
+function isDirectory(file) {
+  try {
+    return fs.statSync(file).isDirectory();
+  } catch {
+    return false;
+  }
+}
+
+function readDir(dir) {
+  try {
+    return fs.readdirSync(dir, { withFileTypes: true });
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Helper: One line per changed page and a file count
+ */
+function logChanges(result, outputDir, elapsed) {
+  const { addedPages, changedPages, removedPages, writtenFiles, staleOutputs } = result;
+  const lines = [
+    ...addedPages.map(slug => `   + ${slug}`),
+    ...changedPages.map(slug => `   ~ ${slug}`),
+    ...removedPages.map(slug => `   - ${slug}`)
+  ];
+
+  if (lines.length === 0 && writtenFiles.length === 0 && staleOutputs.length === 0) {
+    console.log(`🔁 API up to date (${elapsed}ms)`);
+    return;
+  }
+
+  const files = writtenFiles.map(file => path.relative(outputDir, file));
+  const removed = staleOutputs.map(file => path.relative(outputDir, file));
+
+  console.log(`🔁 API regenerated in ${elapsed}ms`);
+  lines.forEach(line => console.log(line));
+  console.log(`   ${files.length} written${files.length ? `: ${summarizeFiles(files)}` : ''}`);
+  if (removed.length) console.log(`   ${removed.length} removed: ${removed.join(', ')}`);
+}
+
+function summarizeFiles(files) {
+  return files.length > 6 ? `${files.slice(0, 6).join(', ')} +${files.length - 6} more` : files.join(', ');
+}
+
+// Run if executed directly
+// Anything after `--` runs alongside the watcher: `node scripts/watch.js -- vitepress dev docs`
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const args = process.argv.slice(2);
+  const separator = args.indexOf('--');
+
+  try {
+    const { config } = await loadConfig(path.join(__dirname, '..'));
+
+    await watchDocs(config.docsDir, config.outDir, {
+      config,
+      command: separator === -1 ? [] : args.slice(separator + 1),
+      ...(args.includes('--no-cache') ? { cacheFile: null } : {})
+    });
+  } catch (error) {
+    console.error('❌ Error:', error);
+    process.exit(1);
+  }
+}
@@ -0,0 +1,82 @@
+import { visit } from 'unist-util-visit';
+import { compareStrings } from './util.js';
+import { parseMarkdownTree } from './markdown.js';
+import { pagePath } from './site.js';
+import { collectImports, identifierPattern } from './symbols.js';
+
+// ==========================================
+// CROSS-REFERENCE INDEX (xref.json)
+// ==========================================
+
+/**
+ * Map every Stunk export to the pages, sections and code examples using it
+ * Exports are the documented symbols plus anything the examples import from
+ * `stunk`, `stunk/react` or `stunk/middleware`. Code and inline code always
+ * count; bare prose only for camelCase names, since `batch` or `once` in a
+ * sentence is usually just a word.
+ *
+ * Returns { symbols: { [name]: { entrypoint, pages } }, apisUsed: Map<slug, [{ name, entrypoint }]> }
+ */
+export function buildCrossReference(docs, symbolTable) {
+  const entrypoints = new Map(symbolTable.map(symbol => [symbol.name, symbol.entrypoint]));
+  collectImports(docs).forEach((entrypoint, name) => {
+    if (!entrypoints.has(name)) entrypoints.set(name, entrypoint);
+  });
+
+  // Keyed alphabetically, independent of the order pages mention things
+  const names = [...entrypoints.keys()].sort(compareStrings);
+  const patterns = names.map(name => [name, identifierPattern(name)]);
+  const symbols = Object.fromEntries(
+    names.map(name => [name, { entrypoint: entrypoints.get(name), pages: [] }])
+  );
+  const apisUsed = new Map();
+
+  docs.forEach(doc => {
+    const texts = doc.sections.map(sectionTexts);
+
+    const used = patterns.filter(([name, pattern]) => {
+      const sections = doc.sections
+        .map((section, i) => {
+          const { code, inline, prose } = texts[i];
+          const found = [];
+          if (pattern.test(code)) found.push('code');
+          if (pattern.test(inline) || (/.[A-Z]/.test(name) && pattern.test(prose))) found.push('prose');
+          return found.length ? { id: section.id, url: section.url, in: found } : null;
+        })
+        .filter(Boolean);
+
+      if (sections.length === 0) return false;
+
+      symbols[name].pages.push({
+        slug: doc.slug,
+        title: doc.title,
+        url: pagePath(doc.slug),
+        sections,
+        codeExamples: doc.codeExamples
+          .map(({ language, lineNumber, code }, index) => pattern.test(code) ? { index, language, lineNumber } : null)
+          .filter(Boolean)
+      });
+      return true;
+    });
+
+    apisUsed.set(doc.slug, used.map(([name]) => ({ name, entrypoint: entrypoints.get(name) })));
+  });
+
+  return { symbols, apisUsed };
+}
+
+/**
+ * Helper: Code blocks, inline code spans and prose of a section, kept apart
+ */
+function sectionTexts(section) {
+  const inline = [];
+  visit(parseMarkdownTree(section.content), 'inlineCode', node => {
+    inline.push(node.value);
+  });
+
+  return {
+    code: section.codeBlocks.map(block => block.code).join('\n'),
+    inline: inline.join('\n'),
+    prose: [section.heading, section.contentPlain].join('\n')
+  };
+}
@@ -0,0 +1,162 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { assertRoutesExist, generateLLMOptimizedAPI, parseMarkdownForLLM, sourceDate } from '../scripts/api.js';
+import { normalizeSiteConfig } from '../scripts/site.js';
+
+const root = fs.mkdtempSync(path.join(os.tmpdir(), 'stunk-api-'));
+after(() => fs.rmSync(root, { recursive: true, force: true }));
+
+function parse(name, lines, overrides) {
+  const file = path.join(root, name);
+  fs.writeFileSync(file, lines.join('\n'));
+  return parseMarkdownForLLM(file, name, overrides);
+}
+
+test('text before the first heading is kept as an intro section', () => {
+  const doc = parse('intro.md', [
+    'See [chunk](/chunk) first.',
+    '',
+    '# Intro',
+    '',
+    'Body.'
+  ]);
+
+  assert.deepEqual(doc.sections.map(({ id, url, level, heading, contentPlain }) => [id, url, level, heading, contentPlain]), [
+    ['intro-1', '/intro', 0, '', 'See chunk first.'],
+    ['intro', '/intro#intro', 1, 'Intro', 'Body.']
+  ]);
+  assert.deepEqual(doc.sections[0].links.map(link => link.url), ['/chunk']);
+  assert.equal(doc.title, 'Intro');
+  assert.deepEqual(doc.tableOfContents.map(entry => entry.id), ['intro']);
+});
+
+test('the intro section is addressable by id', () => {
+  const doc = parse('preface.md', ['Read this first.', '', '## Setup']);
+
+  assert.deepEqual(doc.sections.map(({ id, url }) => [id, url]), [['intro', '/preface'], ['setup', '/preface#setup']]);
+});
+
+test('fenced code never starts sections, whatever the fence', () => {
+  const doc = parse('fences.md', ['# Fences', '', '~~~sh', '# comment', '~~~', '', '````md', '```', '## Inside', '```', '````', '', '```ts', '## Unclosed']);
+
+  assert.deepEqual(doc.sections.map(section => section.id), ['fences']);
+  assert.deepEqual(doc.codeExamples.map(example => example.language), ['sh', 'md', 'ts']);
+});
+
+test('headings inside containers start sections', () => {
+  const doc = parse('details.md', [
+    '# Details',
+    '',
+    '::: details API',
+    'Before.',
+    '',
+    '## Inside',
+    '',
+    'After.',
+    ':::',
+    '',
+    '## Outside'
+  ]);
+
+  assert.deepEqual(doc.sections.map(({ id, lineNumber }) => [id, lineNumber]), [['details', 1], ['inside', 6], ['outside', 11]]);
+  assert.deepEqual(doc.sections.map(section => section.contentPlain), ['Before.', 'After.', '']);
+  assert.deepEqual(doc.sections.map(section => section.admonitions.length), [1, 1, 0]);
+});
+
+test('host heading ids are matched to every heading in document order', () => {
+  const doc = parse('ids.md', ['# One', '', '::: tip', '## Two', ':::', '', '## Three'], {
+    headingIds: ['one-id', 'two-id', 'three-id']
+  });
+
+  assert.deepEqual(doc.sections.map(section => section.url), ['/ids#one-id', '/ids#two-id', '/ids#three-id']);
+});
+
+const site = normalizeSiteConfig({
+  title: 'Stunk',
+  themeConfig: {
+    sidebar: [
+      { text: 'Core', items: [{ text: 'Chunk', link: '/chunk' }, { text: 'Batch', link: '/batch' }] },
+      { text: 'React Hooks', items: [{ text: 'useChunk', link: '/use-chunk' }] }
+    ]
+  }
+});
+
+async function generate(name, options = {}) {
+  const docsDir = path.join(root, name, 'docs');
+  const outputDir = path.join(docsDir, 'public', 'api');
+  const page = (file, lines) => fs.writeFileSync(path.join(docsDir, file), ['---', `title: ${lines[0].slice(2)}`, '---', ...lines].join('\n'));
+
+  fs.mkdirSync(docsDir, { recursive: true });
+  page('chunk.md', ['# Chunk', '', '## Create', '', '```ts', 'chunk(0);', '```', '', '## Update', '', '```ts', 'count.set(1);', '```']);
+  page('batch.md', ['# Batch', '', 'Batching.']);
+  page('use-chunk.md', ['# useChunk', '', '```tsx', 'useChunk(count);', '```']);
+  // Written before the epoch below, so only the other pages are clamped
+  fs.utimesSync(path.join(docsDir, 'batch.md'), new Date('2020-01-01T00:00:00Z'), new Date('2020-01-01T00:00:00Z'));
+
+  await generateLLMOptimizedAPI(docsDir, outputDir, { site, cacheFile: null, quiet: true, ...options });
+  return outputDir;
+}
+
+test('each category endpoint lists its documents with outlines and example counts', async () => {
+  const outputDir = await generate('categories');
+  const read = file => JSON.parse(fs.readFileSync(path.join(outputDir, file), 'utf-8'));
+
+  const core = read('category-core.json');
+  assert.equal(core.count, 2);
+  assert.equal(core.totalCodeExamples, 2);
+  assert.deepEqual(core.documents.map(({ slug, route, codeExampleCount }) => [slug, route, codeExampleCount]), [
+    ['chunk', '/api/chunk.json', 2],
+    ['batch', '/api/batch.json', 0]
+  ]);
+  assert.deepEqual(core.documents[0].tableOfContents.map(entry => entry.id), ['chunk']);
+  assert.deepEqual(core.documents[0].tableOfContents[0].children.map(entry => entry.url), ['/chunk#create', '/chunk#update']);
+
+  const hooks = read('category-react-hooks.json');
+  assert.deepEqual(hooks.documents.map(({ slug, codeExampleCount }) => [slug, codeExampleCount]), [['use-chunk', 1]]);
+  assert.deepEqual(Object.keys(read('categories.json')), ['$schema', 'categories']);
+  assert.deepEqual(Object.entries(read('categories.json').categories).map(([name, docs]) => [name, docs.map(doc => doc.slug)]), [
+    ['core', ['chunk', 'batch']],
+    ['react-hooks', ['use-chunk']]
+  ]);
+  assert.deepEqual(read('routes.json').categories.map(cat => cat.route), ['/api/category-core.json', '/api/category-react-hooks.json']);
+});
+
+test('a route advertised in routes.json without a file is an error', async () => {
+  const outputDir = await generate('routes');
+  const routes = JSON.parse(fs.readFileSync(path.join(outputDir, 'routes.json'), 'utf-8'));
+
+  assert.doesNotThrow(() => assertRoutesExist(routes, outputDir));
+
+  fs.unlinkSync(path.join(outputDir, 'category-react-hooks.json'));
+  assert.throws(() => assertRoutesExist(routes, outputDir), /advertises 1 missing file\(s\): \/api\/category-react-hooks\.json/);
+});
+
+test('SOURCE_DATE_EPOCH is a non-negative integer count of seconds', () => {
+  assert.equal(sourceDate(undefined), null);
+  assert.equal(sourceDate(''), null);
+  assert.equal(sourceDate('1700000000').toISOString(), '2023-11-14T22:13:20.000Z');
+  assert.throws(() => sourceDate('abc'), /must be a non-negative integer, got "abc"/);
+  assert.throws(() => sourceDate('-1'), /must be a non-negative integer, got "-1"/);
+});
+
+test('builds with the same SOURCE_DATE_EPOCH are byte-identical and clamp timestamps to it', async () => {
+  const first = await generate('reproducible-a', { sourceDateEpoch: '1700000000' });
+  const second = await generate('reproducible-b', { sourceDateEpoch: '1700000000' });
+  const walk = (dir, prefix = '') => fs.readdirSync(path.join(dir, prefix), { withFileTypes: true })
+    .flatMap(entry => entry.isDirectory() ? walk(dir, path.join(prefix, entry.name)) : [path.join(prefix, entry.name)]);
+  const files = walk(first).sort();
+
+  assert.deepEqual(walk(second).sort(), files);
+  files.forEach(file => assert.ok(
+    fs.readFileSync(path.join(first, file)).equals(fs.readFileSync(path.join(second, file))),
+    `${file} differs between builds`
+  ));
+
+  const read = file => JSON.parse(fs.readFileSync(path.join(first, file), 'utf-8'));
+  assert.equal(read('index.json').metadata.generatedAt, '2023-11-14T22:13:20.000Z');
+  assert.equal(read('chunk.json').lastModified, '2023-11-14T22:13:20.000Z');
+  assert.equal(read('batch.json').lastModified, '2020-01-01T00:00:00.000Z');
+});
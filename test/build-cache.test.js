@@ -0,0 +1,47 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { generatorFingerprint, hashContent, loadBuildCache, saveBuildCache, writeIfChanged } from '../scripts/build-cache.js';
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'stunk-cache-'));
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+test('hashContent is a sha256 hex digest', () => {
+  assert.equal(hashContent('abc'), 'ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad');
+  assert.equal(hashContent(Buffer.from('abc')), hashContent('abc'));
+});
+
+test('a saved cache loads back while the generator is unchanged', () => {
+  const cacheFile = path.join(dir, 'nested', 'cache.json');
+  const cache = { ...loadBuildCache(cacheFile), files: { 'chunk.md': { hash: 'h', record: { slug: 'chunk' } } } };
+
+  saveBuildCache(cacheFile, cache);
+  assert.deepEqual(loadBuildCache(cacheFile).files, cache.files);
+  assert.equal(loadBuildCache(cacheFile).generator, generatorFingerprint());
+});
+
+test('a cache from another generator or a corrupt file starts empty', () => {
+  const stale = path.join(dir, 'stale.json');
+  fs.writeFileSync(stale, JSON.stringify({ generator: '0.0.0+old', files: { 'a.md': {} } }));
+  assert.deepEqual(loadBuildCache(stale).files, {});
+
+  const corrupt = path.join(dir, 'corrupt.json');
+  fs.writeFileSync(corrupt, '{');
+  assert.deepEqual(loadBuildCache(corrupt).files, {});
+
+  assert.deepEqual(loadBuildCache(null).files, {});
+});
+
+test('writeIfChanged leaves identical files untouched', () => {
+  const file = path.join(dir, 'out', 'index.json');
+
+  assert.equal(writeIfChanged(file, '{}'), true);
+  const { mtimeMs } = fs.statSync(file);
+
+  assert.equal(writeIfChanged(file, '{}'), false);
+  assert.equal(fs.statSync(file).mtimeMs, mtimeMs);
+  assert.equal(writeIfChanged(file, '{"a":1}'), true);
+  assert.equal(fs.readFileSync(file, 'utf-8'), '{"a":1}');
+});
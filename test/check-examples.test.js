@@ -0,0 +1,77 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { checkExamples, missingImports, preludeFor } from '../scripts/check-examples.js';
+
+test('missingImports adds used exports the snippet does not declare', () => {
+  const exportsByModule = new Map([
+    ['stunk', ['chunk', 'batch', 'select']],
+    ['stunk/react', ['useChunk', 'chunk']]
+  ]);
+
+  assert.deepEqual(missingImports('const count = chunk(0);\nbatch(() => count.set(1));', exportsByModule), [
+    "import { chunk, batch } from 'stunk';"
+  ]);
+  assert.deepEqual(missingImports("import { chunk } from 'stunk';\nconst [v] = useChunk(chunk(0));", exportsByModule), [
+    "import { useChunk } from 'stunk/react';"
+  ]);
+  assert.deepEqual(missingImports('const select = 1;\nconst selected = select;', exportsByModule), []);
+});
+
+test('preludeFor leaves out declarations the snippet makes itself', () => {
+  const prelude = 'declare const count: Chunk<number>;\ntype User = { name: string };\ndeclare function fetchUser(): Promise<User>;';
+
+  assert.equal(preludeFor(prelude, 'count.set(1);'), prelude);
+  assert.equal(
+    preludeFor(prelude, 'const count = chunk(0);\ninterface User { id: number }'),
+    'declare function fetchUser(): Promise<User>;'
+  );
+});
+
+const root = fs.mkdtempSync(path.join(os.tmpdir(), 'stunk-examples-'));
+const docsDir = path.join(root, 'docs');
+fs.mkdirSync(docsDir);
+after(() => fs.rmSync(root, { recursive: true, force: true }));
+
+test('reports diagnostics at their markdown line, honouring no-check, preludes and ignores', () => {
+  fs.writeFileSync(path.join(docsDir, 'types.md'), [
+    '---',
+    'title: Types',
+    '---',
+    '# Types',
+    '',
+    '```ts',
+    'const count: number = 1;',
+    "const label: string = count;",
+    '```',
+    '',
+    '```ts no-check',
+    "const broken: number = 'x';",
+    '```',
+    '',
+    '```ts',
+    'const total: number = base + undeclared;',
+    '```',
+    '',
+    '```js',
+    "const ignored: number = 'x';",
+    '```',
+    '',
+    '```ts',
+    "const base = 'own';",
+    'const label: string = base;',
+    '```'
+  ].join('\n'));
+
+  const problems = checkExamples(docsDir, { autoImport: [], preludes: { types: 'declare const base: number;' } });
+
+  assert.deepEqual(problems.map(({ file, line, column, code }) => [file, line, column, code]), [
+    ['docs/types.md', 8, 7, 2322],
+    ['docs/types.md', 16, 30, 2304]
+  ]);
+  assert.equal(checkExamples(docsDir, { autoImport: [], preludes: { types: 'declare const base: number;' }, ignore: [2304, 2322] }).length, 0);
+  assert.deepEqual(checkExamples(docsDir, { autoImport: [] }).map(({ line, code }) => [line, code]), [[8, 2322], [16, 2304], [16, 2304]]);
+  assert.deepEqual(checkExamples(docsDir, { autoImport: [], exclude: ['types.md'] }), []);
+});
@@ -0,0 +1,70 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { checkLinks } from '../scripts/check-links.js';
+import { DEFAULT_CONFIG } from '../scripts/config.js';
+import { normalizeSiteConfig } from '../scripts/site.js';
+
+const root = fs.mkdtempSync(path.join(os.tmpdir(), 'stunk-links-'));
+const docsDir = path.join(root, 'docs');
+after(() => fs.rmSync(root, { recursive: true, force: true }));
+
+const write = (file, content) => {
+  fs.mkdirSync(path.dirname(path.join(docsDir, file)), { recursive: true });
+  fs.writeFileSync(path.join(docsDir, file), content);
+};
+
+write('chunk.md', 'Core state; see [groups](/batch#groupin).\n\n# Chunk\n\n## Set values\n\nSee [batch](./batch#grouping).\n');
+write('batch.md', [
+  '---',
+  'title: Batch',
+  '---',
+  'Before any heading: [short](/chunk#se).',
+  '',
+  '# Batch',
+  '',
+  '## Grouping',
+  '',
+  '- [values](/chunk#set-value)',
+  '- [page](/chunks)',
+  '- [logo](/logo.png)',
+  '- [missing image](/missing.png)',
+  '- [api](/api/index.json)',
+  '- [external](https://example.com/nope)',
+  '- [self](#grouping)'
+].join('\n'));
+write('index.md', '---\nlayout: home\nhero:\n  actions:\n    - text: Start\n      link: /chunkk\n---\n');
+write('public/logo.png', '');
+
+const site = normalizeSiteConfig({
+  themeConfig: {
+    sidebar: [{ text: 'Core', items: [{ text: 'Chunk', link: '/chunk' }, { text: 'Gone', link: '/gone' }] }]
+  }
+});
+
+test('reports dead pages, anchors and files, including links before the first heading', async () => {
+  const problems = await checkLinks(docsDir, { site });
+
+  assert.deepEqual(problems.map(({ file, line, source, url, message, suggestion }) => [file, line, source, url, message, suggestion]), [
+    ['.vitepress/config', null, 'sidebar "Core › Gone"', '/gone', 'no page "gone"', null],
+    ['docs/batch.md', 4, 'link "short"', '/chunk#se', 'no heading #se on /chunk', null],
+    ['docs/batch.md', 10, 'link "values"', '/chunk#set-value', 'no heading #set-value on /chunk', '/chunk#set-values'],
+    ['docs/batch.md', 11, 'link "page"', '/chunks', 'no page "chunks"', '/chunk'],
+    ['docs/batch.md', 13, 'link "missing image"', '/missing.png', 'no file /missing.png in public/ or the docs', null],
+    ['docs/chunk.md', 1, 'link "groups"', '/batch#groupin', 'no heading #groupin on /batch', '/batch#grouping'],
+    ['docs/index.md', 6, 'hero action "Start"', '/chunkk', 'no page "chunkk"', '/chunk']
+  ]);
+});
+
+test('pages left out by the exclude globs are neither checked nor linkable', async () => {
+  const problems = await checkLinks(docsDir, { site, exclude: [...DEFAULT_CONFIG.exclude, 'batch.md'] });
+
+  assert.deepEqual(problems.map(({ file, line, url, message }) => [file, line, url, message]), [
+    ['.vitepress/config', null, '/gone', 'no page "gone"'],
+    ['docs/chunk.md', 1, '/batch#groupin', 'no page "batch"'],
+    ['docs/chunk.md', 7, './batch#grouping', 'no page "batch"'],
+    ['docs/index.md', 6, '/chunkk', 'no page "chunkk"']
+  ]);
+});
@@ -0,0 +1,87 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildRetrievalChunks, estimateTokens } from '../scripts/chunks.js';
+
+const words = (prefix, count) => Array.from({ length: count }, (_, i) => `${prefix}${i}`).join(' ');
+
+const doc = sections => ({
+  slug: 'guide',
+  title: 'Guide',
+  sections: sections.map(([id, level, content]) => ({
+    id,
+    level,
+    heading: id,
+    url: `/guide#${id}`,
+    content
+  }))
+});
+
+test('a short section is one chunk with its heading path', () => {
+  const chunks = buildRetrievalChunks([doc([
+    ['intro', 1, 'Hello there.'],
+    ['setup', 2, 'Install it.'],
+    ['usage', 2, 'Use it.']
+  ])]);
+
+  assert.deepEqual(chunks.map(chunk => [chunk.id, chunk.headingPath, chunk.part, chunk.parts]), [
+    ['guide#intro:0', ['intro'], 0, 1],
+    ['guide#setup:0', ['intro', 'setup'], 0, 1],
+    ['guide#usage:0', ['intro', 'usage'], 0, 1]
+  ]);
+  assert.equal(chunks[1].prose, 'Install it.');
+});
+
+test('long sections split within the budget and repeat the previous tail', () => {
+  const first = words('alpha', 40);
+  const second = words('beta', 40);
+  const [a, b] = buildRetrievalChunks([doc([['long', 1, `${first}\n\n${second}`]])], {
+    maxTokens: 100,
+    overlapTokens: 10
+  });
+
+  assert.equal(a.prose, first);
+  assert.equal(a.parts, 2);
+  assert.ok(b.tokens <= 100);
+
+  const overlap = b.prose.split('\n\n')[0];
+  assert.ok(first.endsWith(overlap), 'second chunk starts with the end of the first');
+  assert.ok(estimateTokens(overlap) <= 10);
+  assert.ok(b.prose.endsWith(second));
+});
+
+test('overlap yields to content that would not fit with it', () => {
+  const first = words('alpha', 40);
+  const second = words('beta', 50);
+  const [, b] = buildRetrievalChunks([doc([['long', 1, `${first}\n\n${second}`]])], {
+    maxTokens: 100,
+    overlapTokens: 20
+  });
+
+  assert.equal(b.prose, second);
+});
+
+test('code stays with its prose and only splits when it alone is too big', () => {
+  const small = buildRetrievalChunks([doc([['code', 1, 'Call it:\n\n```ts\nchunk(0);\n```']])]);
+  assert.deepEqual(small[0].code, [{ language: 'ts', code: 'chunk(0);' }]);
+
+  const lines = Array.from({ length: 20 }, (_, i) => `const value${i} = chunk(${i});`).join('\n');
+  const big = buildRetrievalChunks([doc([['code', 1, `\`\`\`js\n${lines}\n\`\`\``]])], {
+    maxTokens: 100,
+    overlapTokens: 0
+  });
+
+  assert.ok(big.length > 1);
+  assert.equal(big.map(chunk => chunk.code[0].code).join('\n'), lines);
+});
+
+test('hashes are stable and change with the content', () => {
+  const build = content => buildRetrievalChunks([doc([['intro', 1, content]])])[0].hash;
+
+  assert.match(build('Same text.'), /^[0-9a-f]{16}$/);
+  assert.equal(build('Same text.'), build('Same text.'));
+  assert.notEqual(build('Same text.'), build('Other text.'));
+});
+
+test('overlap must be smaller than the budget', () => {
+  assert.throws(() => buildRetrievalChunks([], { maxTokens: 10, overlapTokens: 10 }), /overlapTokens/);
+});
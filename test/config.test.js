@@ -0,0 +1,119 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  DEFAULT_CONFIG,
+  globToRegExp,
+  isExcludedDir,
+  isIncluded,
+  loadConfig,
+  resolveConfig
+} from '../scripts/config.js';
+
+test('globToRegExp: * and ? stay in one directory, ** spans any depth', () => {
+  const matches = (glob, file) => globToRegExp(glob).test(file);
+
+  assert.ok(matches('*.md', 'chunk.md'));
+  assert.ok(!matches('*.md', 'guide/chunk.md'));
+  assert.ok(matches('**/*.md', 'chunk.md'));
+  assert.ok(matches('**/*.md', 'guide/deep/chunk.md'));
+  assert.ok(matches('guide/**', 'guide/a/b.md'));
+  assert.ok(matches('v?.md', 'v2.md'));
+  assert.ok(!matches('v?.md', 'v/.md'));
+  assert.ok(matches('{api,guide}/*.md', 'api/chunk.md'));
+  assert.ok(!matches('{api,guide}/*.md', 'blog/chunk.md'));
+  assert.ok(!matches('chunk.md', 'chunkXmd'), 'dots are literal');
+});
+
+test('include/exclude globs filter pages and prune directories', () => {
+  const { include, exclude } = DEFAULT_CONFIG;
+
+  assert.ok(isIncluded('guide/chunk.md', { include, exclude }));
+  assert.ok(!isIncluded('public/notes.md', { include, exclude }));
+  assert.ok(!isIncluded('.vitepress/theme/readme.md', { include, exclude }));
+  assert.ok(!isIncluded('logo.svg', { include, exclude }));
+
+  assert.ok(isExcludedDir('node_modules', { exclude }));
+  assert.ok(isExcludedDir('guide/.cache', { exclude }));
+  assert.ok(!isExcludedDir('guide', { exclude }));
+});
+
+test('resolveConfig merges nested options over the defaults', () => {
+  const config = resolveConfig({
+    outputs: { chunks: false },
+    fields: { fullContent: false },
+    chunks: { maxTokens: 256 },
+    examples: { preludes: { '*': 'declare const user: { name: string };' } },
+    keywordLimit: 5
+  }, '/project');
+
+  assert.equal(config.outputs.chunks, false);
+  assert.equal(config.outputs.search, true);
+  assert.equal(config.fields.fullContent, false);
+  assert.equal(config.fields.tables, true);
+  assert.deepEqual(config.chunks, { maxTokens: 256, overlapTokens: DEFAULT_CONFIG.chunks.overlapTokens });
+  assert.deepEqual(config.examples.preludes, { '*': 'declare const user: { name: string };' });
+  assert.deepEqual(config.examples.ignore, []);
+  assert.equal(config.keywordLimit, 5);
+  assert.equal(config.summaryLength, DEFAULT_CONFIG.summaryLength);
+  assert.deepEqual(config.include, DEFAULT_CONFIG.include);
+});
+
+test('resolveConfig makes directories absolute and is idempotent', () => {
+  const config = resolveConfig({ docsDir: 'site', outDir: 'site/public/data' }, '/project');
+
+  assert.equal(config.docsDir, path.resolve('/project/site'));
+  assert.equal(config.outDir, path.resolve('/project/site/public/data'));
+  assert.deepEqual(resolveConfig(config, '/elsewhere'), config);
+});
+
+test('resolveConfig lists every invalid option', () => {
+  assert.throws(
+    () => resolveConfig({ baseUrl: 'api/', outputs: { chunk: false }, keywordLimit: -1, examples: { ignore: ['2304'] } }, '/project', 'stunk-docs.config.json'),
+    error => {
+      assert.match(error.message, /^4 invalid option\(s\) in stunk-docs\.config\.json/);
+      assert.match(error.message, /examples\.ignore\.0 must be integer/);
+      assert.match(error.message, /baseUrl must match pattern/);
+      assert.match(error.message, /outputs\.chunk is not a known option/);
+      assert.match(error.message, /keywordLimit must be >= 0/);
+      return true;
+    }
+  );
+});
+
+const root = fs.mkdtempSync(path.join(os.tmpdir(), 'stunk-config-'));
+after(() => fs.rmSync(root, { recursive: true, force: true }));
+
+test('loadConfig falls back to the defaults without a config file', async () => {
+  const { file, config } = await loadConfig(root);
+
+  assert.equal(file, null);
+  assert.equal(config.docsDir, path.join(root, 'docs'));
+});
+
+test('loadConfig reads JSON and JS config files, but not both', async () => {
+  fs.writeFileSync(path.join(root, 'stunk-docs.config.json'), JSON.stringify({ keywordLimit: 7 }));
+  const json = await loadConfig(root);
+  assert.equal(json.file, path.join(root, 'stunk-docs.config.json'));
+  assert.equal(json.config.keywordLimit, 7);
+
+  fs.writeFileSync(path.join(root, 'stunk-docs.config.js'), 'export default { keywordLimit: 9 };\n');
+  await assert.rejects(loadConfig(root), /Found both/);
+
+  fs.rmSync(path.join(root, 'stunk-docs.config.json'));
+  const js = await loadConfig(root);
+  assert.equal(js.config.keywordLimit, 9);
+});
+
+test('loadConfig picks up edits to a JS config it already loaded', async () => {
+  const file = path.join(root, 'stunk-docs.config.js');
+  fs.writeFileSync(file, 'export default { keywordLimit: 5 };\n');
+  fs.utimesSync(file, new Date('2026-01-01T00:00:00Z'), new Date('2026-01-01T00:00:00Z'));
+  assert.equal((await loadConfig(root)).config.keywordLimit, 5);
+
+  fs.writeFileSync(file, 'export default { keywordLimit: 9 };\n');
+  fs.utimesSync(file, new Date('2026-01-01T00:00:01Z'), new Date('2026-01-01T00:00:01Z'));
+  assert.equal((await loadConfig(root)).config.keywordLimit, 9);
+});
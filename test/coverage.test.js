@@ -0,0 +1,52 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildCoverageReport } from '../scripts/coverage.js';
+import { normalizeSiteConfig } from '../scripts/site.js';
+
+const page = (slug, links = [], frontmatter = {}) => ({
+  slug,
+  path: `${slug}.md`,
+  title: slug,
+  frontmatter,
+  sections: [{ links: links.map(url => ({ url })) }]
+});
+
+const site = normalizeSiteConfig({
+  themeConfig: {
+    nav: [{ text: 'API', link: '/api' }, { text: 'API again', link: '/api' }],
+    sidebar: [
+      { text: 'Guide', items: [{ text: 'Intro', link: '/intro' }, { text: 'Gone', link: '/gone' }] },
+      { text: 'Intro twice', link: '/intro' }
+    ]
+  }
+});
+
+test('reports orphans, unlisted pages, missing entries and duplicates', () => {
+  const report = buildCoverageReport([
+    page('index', [], { hero: { actions: [{ text: 'Start', link: '/hero-target' }] } }),
+    page('intro', ['./linked#section', '/intro#self']),
+    page('api'),
+    page('linked'),
+    page('hero-target'),
+    page('orphan', ['/intro'])
+  ], site);
+
+  assert.equal(report.totalPages, 6);
+  assert.equal(report.listedPages, 3);
+  assert.deepEqual(report.orphans, [{ slug: 'orphan', path: 'orphan.md', url: '/orphan', title: 'orphan' }]);
+  assert.deepEqual(report.unlisted.map(({ slug, linkedFrom }) => [slug, linkedFrom]), [
+    ['linked', ['intro']],
+    ['hero-target', ['index']]
+  ]);
+  assert.deepEqual(report.missing, [{ source: 'sidebar', text: 'Gone', link: '/gone', groups: ['Guide'] }]);
+  assert.deepEqual(report.duplicates.map(({ source, slug, entries }) => [source, slug, entries.length]), [
+    ['sidebar', 'intro', 2],
+    ['nav', 'api', 2]
+  ]);
+});
+
+test('a self-link does not rescue an orphan', () => {
+  const report = buildCoverageReport([page('lonely', ['#top', '/lonely'])], normalizeSiteConfig({}));
+
+  assert.deepEqual(report.orphans.map(orphan => orphan.slug), ['lonely']);
+});
@@ -0,0 +1,85 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { runDoctests } from '../scripts/doctest.js';
+
+const root = fs.mkdtempSync(path.join(os.tmpdir(), 'stunk-doctest-'));
+const docsDir = path.join(root, 'docs');
+fs.mkdirSync(docsDir);
+after(() => fs.rmSync(root, { recursive: true, force: true }));
+
+const fence = (meta, lines) => ['```' + meta, ...lines, '```'].join('\n');
+
+test('annotated statements are checked against logs and values', async () => {
+  fs.writeFileSync(path.join(docsDir, 'pass.md'), [
+    '---',
+    'title: Pass',
+    '---',
+    '# Pass',
+    '',
+    fence('ts doctest', [
+      'const count = chunk(1);',
+      'count.set(2);',
+      'console.log("Count:", count.get()); // Logs: Count: 2',
+      'count.get(); // → 2',
+      '[count.get(), 3];',
+      '// → [2, 3]'
+    ]),
+    '',
+    fence('ts', ['count.get(); // → 999'])
+  ].join('\n'));
+
+  assert.deepEqual(await runDoctests(docsDir), { blocks: 1, failures: [] });
+});
+
+test('mismatches and exceptions report the file line', async () => {
+  fs.writeFileSync(path.join(docsDir, 'fail.md'), [
+    '# Fail',
+    '',
+    fence('js doctest', [
+      'const count = chunk(1);',
+      'console.log(count.get()); // Logs: 2'
+    ]),
+    '',
+    fence('js doctest', [
+      'const value = 1;',
+      'missing(); // → 1'
+    ])
+  ].join('\n'));
+
+  const { blocks, failures } = await runDoctests(docsDir);
+
+  assert.equal(blocks, 3);
+  assert.deepEqual(failures, [
+    { file: 'docs/fail.md', line: 5, message: 'Expected "2", got "1"' },
+    { file: 'docs/fail.md', line: 10, message: 'Threw missing is not defined' }
+  ]);
+  assert.deepEqual(await runDoctests(docsDir, { exclude: ['fail.md'] }), { blocks: 1, failures: [] });
+});
+
+test('output of imported modules is captured too', async () => {
+  const hostDocs = path.join(root, 'host-docs');
+  fs.mkdirSync(hostDocs);
+  fs.writeFileSync(path.join(hostDocs, 'logger.md'), [
+    '# Logger',
+    '',
+    fence('ts doctest', [
+      "import { logger } from 'stunk/middleware';",
+      '',
+      'const age = chunk(24, [logger]);',
+      'age.set(30); // Logs: Setting value: 30'
+    ])
+  ].join('\n'));
+
+  const log = console.log;
+  const leaked = [];
+  console.log = (...args) => leaked.push(args);
+  try {
+    assert.deepEqual(await runDoctests(hostDocs), { blocks: 1, failures: [] });
+  } finally {
+    console.log = log;
+  }
+  assert.deepEqual(leaked, []);
+});
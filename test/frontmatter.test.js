@@ -0,0 +1,81 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { validateFrontmatter } from '../scripts/frontmatter.js';
+import { sidebarCategories } from '../scripts/navigation.js';
+import { normalizeSiteConfig } from '../scripts/site.js';
+
+const root = fs.mkdtempSync(path.join(os.tmpdir(), 'stunk-frontmatter-'));
+const docsDir = path.join(root, 'docs');
+fs.mkdirSync(docsDir);
+after(() => fs.rmSync(root, { recursive: true, force: true }));
+
+const page = (name, content) => {
+  const file = path.join(docsDir, name);
+  fs.writeFileSync(file, content);
+  return file;
+};
+
+test('valid doc and home pages pass', () => {
+  const files = [
+    page('chunk.md', '---\ntitle: Chunk\ntags: [core, state]\ncategory: core\nprev: false\n---\n# Chunk\n'),
+    page('index.md', '---\nlayout: home\nhero:\n  name: Stunk\n---\n')
+  ];
+
+  assert.deepEqual(validateFrontmatter(files, docsDir), []);
+});
+
+test('reports every violation with its line', () => {
+  const file = page('bad.md', [
+    '---',
+    'title: Bad',
+    'tags: [1, 2]',
+    'category: nope',
+    'colour: red',
+    'aside: 3',
+    '---',
+    '# Bad'
+  ].join('\n'));
+
+  assert.deepEqual(validateFrontmatter([file], docsDir, { categories: ['general', 'core'] }).map(({ file: name, line, field }) => [name, line, field]), [
+    ['docs/bad.md', 3, 'tags'],
+    ['docs/bad.md', 4, 'category'],
+    ['docs/bad.md', 5, 'colour'],
+    ['docs/bad.md', 6, 'aside']
+  ]);
+});
+
+test('category overrides name a sidebar group of the site', () => {
+  const site = normalizeSiteConfig({
+    themeConfig: { sidebar: [{ text: 'Getting Started', items: [{ text: 'Intro', link: '/intro' }] }] }
+  });
+  const file = page('intro.md', '---\ntitle: Intro\ncategory: getting-started\n---\n');
+  const categories = sidebarCategories(site);
+
+  assert.deepEqual(categories, ['general', 'getting-started']);
+  assert.deepEqual(validateFrontmatter([file], docsDir, { categories }), []);
+  assert.deepEqual(validateFrontmatter([file], docsDir, { categories: ['general', 'core'] }).map(({ message }) => message), [
+    '"category" must be one of general, core, got "getting-started"'
+  ]);
+});
+
+test('required fields depend on the page kind', () => {
+  const doc = page('untitled.md', '# No frontmatter\n');
+  const home = page('home.md', '---\nlayout: home\n---\n');
+
+  assert.deepEqual(validateFrontmatter([doc, home], docsDir).map(({ file, field, message }) => [file, field, message]), [
+    ['docs/untitled.md', 'title', 'missing required field "title" (doc page)'],
+    ['docs/home.md', 'hero', 'missing required field "hero" (home page)']
+  ]);
+});
+
+test('unparseable YAML points at the broken line', () => {
+  const file = page('broken.md', '---\ntitle: Fine\ntags: [unclosed\n---\n');
+  const [violation] = validateFrontmatter([file], docsDir);
+
+  assert.equal(violation.field, null);
+  assert.equal(violation.line, 4);
+  assert.match(violation.message, /^unparseable frontmatter/);
+});
@@ -0,0 +1,99 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFileSync } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { historyFields, readGitHistory } from '../scripts/history.js';
+
+const mtime = '2026-01-02T03:04:05.000Z';
+
+test('pages without git history fall back to their mtime', () => {
+  assert.deepEqual(historyFields(undefined, mtime), {
+    createdAt: null,
+    lastModified: mtime,
+    lastCommit: null,
+    contributors: [],
+    changeCount: 0
+  });
+});
+
+test('uncommitted edits take the mtime, committed pages their last commit', () => {
+  const entry = {
+    createdAt: '2025-01-01T00:00:00.000Z',
+    lastModified: '2025-06-01T00:00:00.000Z',
+    lastCommit: { hash: 'abc', subject: 'Edit' },
+    contributors: [{ name: 'Ada', commits: 2 }],
+    changeCount: 2,
+    dirty: false
+  };
+
+  assert.equal(historyFields(entry, mtime).lastModified, '2025-06-01T00:00:00.000Z');
+  assert.equal(historyFields({ ...entry, dirty: true }, mtime).lastModified, mtime);
+  assert.equal(historyFields({ ...entry, dirty: true }, mtime).createdAt, '2025-01-01T00:00:00.000Z');
+});
+
+const repo = fs.mkdtempSync(path.join(os.tmpdir(), 'stunk-history-'));
+after(() => fs.rmSync(repo, { recursive: true, force: true }));
+
+function commit(author, date, message) {
+  const env = { ...process.env, GIT_AUTHOR_DATE: date, GIT_COMMITTER_DATE: date };
+  execFileSync('git', ['add', '-A'], { cwd: repo });
+  execFileSync('git', ['-c', `user.name=${author}`, '-c', 'user.email=docs@example.com', '-c', 'commit.gpgsign=false', 'commit', '-qm', message], { cwd: repo, env });
+}
+
+test('reads creation, last change and contributors from git log', () => {
+  execFileSync('git', ['init', '-q'], { cwd: repo });
+  const file = name => path.join(repo, name);
+
+  fs.writeFileSync(file('a.md'), '# A\n');
+  commit('Ada', '2025-01-01T00:00:00Z', 'Add a');
+  fs.writeFileSync(file('a.md'), '# A\n\nMore.\n');
+  fs.writeFileSync(file('b.md'), '# B\n');
+  commit('Grace', '2025-02-01T00:00:00Z', 'Edit a, add b');
+  fs.writeFileSync(file('a.md'), '# A\n\nEven more.\n');
+  commit('Grace', '2025-03-01T00:00:00Z', 'Edit a again');
+
+  fs.writeFileSync(file('b.md'), '# B\n\nUncommitted.\n');
+  fs.writeFileSync(file('c.md'), '# C\n');
+
+  const history = readGitHistory(repo, [file('a.md'), file('b.md'), file('c.md')]);
+  const a = history.files.get(file('a.md'));
+
+  assert.equal(history.shallow, false);
+  assert.equal(a.createdAt, '2025-01-01T00:00:00.000Z');
+  assert.equal(a.lastModified, '2025-03-01T00:00:00.000Z');
+  assert.equal(a.lastCommit.subject, 'Edit a again');
+  assert.equal(a.changeCount, 3);
+  assert.deepEqual(a.contributors, [{ name: 'Grace', commits: 2 }, { name: 'Ada', commits: 1 }]);
+  assert.equal(a.dirty, false);
+
+  assert.equal(history.files.get(file('b.md')).dirty, true);
+  assert.equal(history.files.has(file('c.md')), false);
+});
+
+test('renames do not mark the page their origin path ends with', () => {
+  const file = name => path.join(repo, name);
+
+  fs.mkdirSync(file('to'));
+  fs.writeFileSync(file('to/b.md'), '# Moved\n');
+  commit('Ada', '2025-04-01T00:00:00Z', 'Add to/b');
+
+  // Porcelain lists `R  aa.md\0to/b.md\0 M c.md\0`
+  execFileSync('git', ['mv', 'to/b.md', 'aa.md'], { cwd: repo });
+  fs.writeFileSync(file('c.md'), '# C\n\nUncommitted.\n');
+
+  const history = readGitHistory(repo, [file('b.md'), file('c.md')]);
+
+  assert.equal(history.files.get(file('b.md')).dirty, false);
+  assert.equal(history.files.get(file('c.md')).dirty, true);
+});
+
+test('returns null outside a git repository', () => {
+  const outside = fs.mkdtempSync(path.join(os.tmpdir(), 'stunk-no-git-'));
+  try {
+    assert.equal(readGitHistory(outside, []), null);
+  } finally {
+    fs.rmSync(outside, { recursive: true, force: true });
+  }
+});
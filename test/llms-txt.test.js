@@ -0,0 +1,58 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { generateLLMsFullTxt, generateLLMsTxt, orderDocsForLLMs } from '../scripts/llms-txt.js';
+import { normalizeSiteConfig } from '../scripts/site.js';
+
+const site = normalizeSiteConfig({
+  title: 'Stunk',
+  description: 'Framework-agnostic state. Small and fast.',
+  head: [['link', { rel: 'canonical', href: 'https://stunk.dev' }]],
+  themeConfig: {
+    nav: [{ text: 'Reference', link: '/api' }, { text: 'Intro', link: '/intro' }],
+    sidebar: [
+      { text: 'Guide', items: [{ text: 'Intro', link: '/intro' }, { text: 'Missing', link: '/missing' }] },
+      { text: 'Home', link: '/' }
+    ]
+  }
+});
+
+const doc = (slug, title, summary, fullContent = `# ${title}`) => ({ slug, title, summary, fullContent });
+const docs = [doc('api', 'API', 'Every export.'), doc('intro', 'Introduction', 'Start here. Then read on.')];
+
+test('pages follow the sidebar, then nav-only pages; the home page is left out', () => {
+  const { entries, unresolved } = orderDocsForLLMs(docs, site);
+
+  assert.deepEqual(entries.map(({ doc: { slug }, text, group }) => [slug, text, group]), [
+    ['intro', 'Intro', 'Guide'],
+    ['api', 'Reference', 'Reference']
+  ]);
+  assert.deepEqual(unresolved, ['/missing']);
+});
+
+test('llms.txt lists each group with first-sentence notes', () => {
+  const { entries } = orderDocsForLLMs(docs, site);
+
+  assert.equal(generateLLMsTxt(entries, site), [
+    '# Stunk',
+    '',
+    '> Framework-agnostic state.',
+    '',
+    '## Guide',
+    '',
+    '- [Intro](https://stunk.dev/intro): Start here.',
+    '',
+    '## Reference',
+    '',
+    '- [Reference](https://stunk.dev/api): Every export.',
+    ''
+  ].join('\n'));
+});
+
+test('llms-full.txt joins cleaned pages with their source URL', () => {
+  const entries = [{ doc: doc('intro', 'Intro', '', '# Intro\n\n<div>raw</div>\n\n::: tip\nRead this.\n:::'), group: 'Guide' }];
+
+  assert.equal(generateLLMsFullTxt(entries, site), [
+    '# Stunk\n\n> Framework-agnostic state.',
+    '# Intro\n\n> **TIP**\n>\n> Read this.\n\nSource: https://stunk.dev/intro'
+  ].join('\n\n---\n\n') + '\n');
+});
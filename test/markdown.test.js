@@ -0,0 +1,215 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  parseMarkdownTree,
+  proseText,
+  collectCode,
+  collectLists,
+  collectLinks,
+  collectDefinitions,
+  collectAdmonitions,
+  collectEmbeds,
+  headingSlugs,
+  slugify,
+  splitAtHeadings
+} from '../scripts/markdown.js';
+
+const md = lines => lines.join('\n');
+
+test('folds a VitePress container and its siblings into one node', () => {
+  const tree = parseMarkdownTree(md([
+    '::: tip Heads up',
+    'First paragraph.',
+    '',
+    '```js',
+    'chunk(0);',
+    '```',
+    '',
+    'Last paragraph.',
+    ':::',
+    '',
+    'After.'
+  ]));
+
+  assert.deepEqual(tree.children.map(node => node.type), ['container', 'paragraph']);
+
+  const [container] = tree.children;
+  assert.equal(container.kind, 'tip');
+  assert.equal(container.title, 'Heads up');
+  assert.deepEqual(container.children.map(node => node.type), ['paragraph', 'code', 'paragraph']);
+  assert.equal(proseText(container.children), 'First paragraph.\n\nLast paragraph.');
+  assert.equal(container.position.start.line, 1);
+  assert.equal(container.position.end.line, 9);
+});
+
+test('folds a container whose markers share a paragraph with its text', () => {
+  const tree = parseMarkdownTree(md([
+    '::: warning',
+    'Lazily joined.',
+    ':::'
+  ]));
+
+  const [container] = tree.children;
+  assert.equal(container.type, 'container');
+  assert.equal(container.kind, 'warning');
+  assert.equal(container.title, '');
+  assert.equal(proseText(container.children), 'Lazily joined.');
+});
+
+test('an unclosed container runs to the end of its parent', () => {
+  const tree = parseMarkdownTree(md(['::: danger', 'Never closed.', '', 'Still inside.']));
+
+  assert.equal(tree.children.length, 1);
+  assert.equal(proseText(tree.children[0].children), 'Never closed.\n\nStill inside.');
+});
+
+test('admonitions report kind, title and prose', () => {
+  const tree = parseMarkdownTree(md(['::: details Show more', 'Hidden text.', ':::']));
+
+  assert.deepEqual(collectAdmonitions(tree.children), [
+    { kind: 'details', title: 'Show more', content: 'Hidden text.', lineNumber: 1 }
+  ]);
+});
+
+test('proseText leaves out code and raw HTML', () => {
+  const tree = parseMarkdownTree(md([
+    '# Title',
+    '',
+    'Some **bold** text.',
+    '',
+    '<div>raw</div>',
+    '',
+    '```ts',
+    'const x = 1;',
+    '```'
+  ]));
+
+  assert.equal(proseText(tree.children), 'Title\n\nSome bold text.');
+});
+
+test('code blocks keep VitePress line options as meta', () => {
+  const tree = parseMarkdownTree(md(['```ts{2,3} title="a.ts"', 'a', 'b', 'c', '```']));
+
+  assert.deepEqual(collectCode(tree.children), [{
+    language: 'ts',
+    meta: '{2,3} title="a.ts"',
+    code: 'a\nb\nc',
+    lineCount: 3,
+    lineNumber: 1
+  }]);
+});
+
+test('tilde and longer backtick fences hold shorter fences and headings as code', () => {
+  const tree = parseMarkdownTree(md([
+    '~~~js',
+    '# not a heading',
+    '```',
+    '~~~',
+    '',
+    '````md',
+    '```ts',
+    'chunk(0);',
+    '```',
+    '````',
+    '',
+    '# After'
+  ]));
+
+  assert.deepEqual(collectCode(tree.children).map(({ language, code, lineNumber }) => [language, code, lineNumber]), [
+    ['js', '# not a heading\n```', 1],
+    ['md', '```ts\nchunk(0);\n```', 6]
+  ]);
+  assert.deepEqual(tree.children.filter(node => node.type === 'heading').map(node => node.position.start.line), [12]);
+});
+
+test('an unclosed fence runs to the end of the document', () => {
+  const tree = parseMarkdownTree(md(['Intro.', '', '```ts', 'chunk(0);', '', '## Not a heading']));
+
+  assert.deepEqual(collectCode(tree.children).map(block => block.code), ['chunk(0);\n\n## Not a heading']);
+  assert.equal(tree.children.some(node => node.type === 'heading'), false);
+});
+
+test('lists keep nesting and task state', () => {
+  const tree = parseMarkdownTree(md(['- [x] done', '  - nested', '- [ ] todo']));
+  const [list] = collectLists(tree.children);
+
+  assert.equal(list.ordered, false);
+  assert.deepEqual(list.items, [
+    { text: 'done', children: [{ text: 'nested', children: [] }], checked: true },
+    { text: 'todo', children: [], checked: false }
+  ]);
+});
+
+test('reference links resolve against definitions', () => {
+  const tree = parseMarkdownTree(md(['See [the guide][guide] and [home](/).', '', '[guide]: /guide.md']));
+  const links = collectLinks(tree.children, collectDefinitions(tree));
+
+  assert.deepEqual(links.map(({ text, url }) => [text, url]), [
+    ['the guide', '/guide.md'],
+    ['home', '/']
+  ]);
+});
+
+test('embeds come from iframe and video tags with a source', () => {
+  const tree = parseMarkdownTree('<iframe src="https://example.com/demo" title=\'Demo\' width=600></iframe>\n\n<video></video>');
+
+  assert.deepEqual(collectEmbeds(tree.children), [{
+    type: 'iframe',
+    src: 'https://example.com/demo',
+    title: 'Demo',
+    width: '600',
+    height: null,
+    lineNumber: 1
+  }]);
+});
+
+test('splitAtHeadings lifts headings out of containers and keeps the rest wrapped', () => {
+  const tree = parseMarkdownTree(md([
+    '::: details API',
+    'Before.',
+    '',
+    '## Inside',
+    '',
+    'After.',
+    ':::',
+    '',
+    '::: tip',
+    'No heading.',
+    ':::'
+  ]));
+
+  const blocks = splitAtHeadings(tree.children);
+
+  assert.deepEqual(blocks.map(node => node.type), ['container', 'heading', 'container', 'container']);
+  assert.deepEqual(blocks.map(node => node.kind), ['details', undefined, 'details', 'tip']);
+  assert.deepEqual(blocks.map(node => [node.position.start.line, node.position.end.line]), [[1, 2], [4, 4], [6, 7], [9, 11]]);
+  assert.deepEqual(collectAdmonitions(blocks.slice(0, 1)).map(({ content }) => content), ['Before.']);
+});
+
+test('slugify matches VitePress anchors', () => {
+  assert.equal(slugify('Getting Started'), 'getting-started');
+  assert.equal(slugify('What\'s `useChunk()`?'), 'what-s-usechunk');
+  assert.equal(slugify('Crème brûlée'), 'creme-brulee');
+  assert.equal(slugify('2. Install'), '_2-install');
+  assert.equal(slugify('  -- edges --  '), 'edges');
+});
+
+test('heading slugs drop markup, keep custom ids and number repeats', () => {
+  const tree = parseMarkdownTree(md([
+    '# Setup',
+    '## Setup',
+    '## Setup',
+    '## **Bold** `code` <Badge text="new" />',
+    '## Custom {#my-id}',
+    '## Custom {#my-id}'
+  ]));
+
+  assert.deepEqual([...headingSlugs(tree).values()], [
+    'setup',
+    'setup-1',
+    'setup-2',
+    'bold-code',
+    'my-id',
+    'my-id'
+  ]);
+});
@@ -0,0 +1,119 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { InMemoryTransport } from '@modelcontextprotocol/sdk/inMemory.js';
+import { createMcpServer } from '../scripts/mcp-server.js';
+import { buildSearchIndex } from '../scripts/search-index.js';
+
+const section = (id, heading, contentPlain, codeBlocks = []) => ({
+  id,
+  heading,
+  level: 2,
+  url: `/chunk#${id}`,
+  content: `## ${heading}\n\n${contentPlain}`,
+  contentPlain,
+  codeBlocks,
+  links: []
+});
+
+const doc = {
+  slug: 'chunk',
+  title: 'Chunk',
+  description: 'Core state.',
+  summary: 'Core state.',
+  keywords: ['state'],
+  category: 'core',
+  contentType: 'api-reference',
+  complexity: 'beginner',
+  tableOfContents: [],
+  fullContent: '# Chunk\n\nCore state.',
+  sections: [
+    section('chunk', 'chunk<T>(initialValue: T): Chunk<T>', 'Creates a chunk.\n\nMore detail.', [{ language: 'ts', code: 'chunk(0)' }]),
+    section('usage', 'Usage', 'Read and write state.')
+  ],
+  codeExamples: [{ language: 'ts', purpose: 'example', code: 'chunk(0)' }]
+};
+
+const symbol = (name, kind, entrypoint, signature, overloads = []) => ({
+  name,
+  kind,
+  entrypoint,
+  signature,
+  overloads: overloads.map(overload => ({ signature: overload })),
+  description: 'Creates a chunk.',
+  parameters: [],
+  returns: null,
+  members: null,
+  definition: null,
+  definedIn: { slug: 'chunk', sectionId: 'chunk', url: '/chunk#chunk' }
+});
+
+const data = {
+  index: { docs: [{ slug: 'chunk', title: 'Chunk' }] },
+  searchIndex: buildSearchIndex([doc]),
+  symbols: [
+    symbol('chunk', 'function', 'stunk', 'chunk<T>(initialValue: T): Chunk<T>', ['chunk<T>(initialValue: T, middleware: Middleware<T>[]): Chunk<T>']),
+    symbol('useChunk', 'hook', 'stunk/react', 'useChunk<T>(chunk: Chunk<T>)')
+  ],
+  docs: new Map([['chunk', doc]]),
+  codeExamples: doc.codeExamples.map((example, index) => ({ slug: 'chunk', title: 'Chunk', index, ...example }))
+};
+
+const client = new Client({ name: 'test', version: '1.0.0' });
+
+before(async () => {
+  const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+  await createMcpServer(data).connect(serverTransport);
+  await client.connect(clientTransport);
+});
+
+after(() => client.close());
+
+const call = async (name, args) => {
+  const result = await client.callTool({ name, arguments: args });
+  const [{ text }] = result.content;
+  return { isError: Boolean(result.isError), text, value: result.isError ? null : JSON.parse(text) };
+};
+
+test('lists tools and one resource per page', async () => {
+  const { tools } = await client.listTools();
+  const { resources } = await client.listResources();
+
+  assert.deepEqual(tools.map(tool => tool.name).sort(), [
+    'get_api_signature',
+    'get_doc',
+    'get_section',
+    'list_code_examples',
+    'search_docs'
+  ]);
+  assert.deepEqual(resources.map(resource => resource.uri), ['stunk-docs://docs/chunk']);
+});
+
+test('search, pages and sections', async () => {
+  assert.deepEqual((await call('search_docs', { query: 'state', type: 'sections' })).value.map(hit => hit.id), ['usage', 'chunk']);
+  assert.equal((await call('get_doc', { slug: 'chunk', includeContent: false })).value.content, undefined);
+  assert.equal((await call('get_section', { slug: 'chunk', sectionId: 'usage' })).value.heading, 'Usage');
+
+  const missing = await call('get_section', { slug: 'chunk', sectionId: 'nope' });
+  assert.equal(missing.isError, true);
+  assert.match(missing.text, /Available: chunk, usage/);
+});
+
+test('code examples filter by language', async () => {
+  assert.equal((await call('list_code_examples', { language: 'ts' })).value.total, 1);
+  assert.equal((await call('list_code_examples', { language: 'bash' })).value.total, 0);
+});
+
+test('API signatures come from the symbol table', async () => {
+  const { value: [match] } = await call('get_api_signature', { name: 'chunk' });
+
+  assert.equal(match.signature, 'chunk<T>(initialValue: T): Chunk<T>');
+  assert.deepEqual(match.overloads, ['chunk<T>(initialValue: T, middleware: Middleware<T>[]): Chunk<T>']);
+  assert.equal(match.import, "import { chunk } from 'stunk';");
+  assert.equal(match.description, 'Creates a chunk.');
+  assert.deepEqual(match.examples, [{ language: 'ts', code: 'chunk(0)' }]);
+
+  const { value: [hook] } = await call('get_api_signature', { name: 'usechunk' });
+  assert.equal(hook.entrypoint, 'stunk/react');
+  assert.equal((await call('get_api_signature', { name: 'unknown' })).isError, true);
+});
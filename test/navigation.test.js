@@ -0,0 +1,92 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildNavigation, categoryName } from '../scripts/navigation.js';
+import { normalizeSiteConfig } from '../scripts/site.js';
+
+const page = (slug, title, frontmatter = {}) => ({ slug, title, category: 'general', frontmatter });
+
+const site = sidebar => normalizeSiteConfig({ themeConfig: { sidebar } });
+
+const sidebar = [
+  {
+    text: 'Getting Started',
+    items: [
+      { text: 'Intro', link: '/intro' },
+      { text: 'Install', link: '/install' }
+    ]
+  },
+  {
+    text: 'Async State',
+    items: [
+      { text: 'Async Chunks', link: '/async-chunk' },
+      { text: 'Intro again', link: '/intro' }
+    ]
+  }
+];
+
+const summary = ({ prev, next }) => [prev && prev.slug, next && next.slug];
+
+test('pages link to their sidebar neighbours in first-listing order', () => {
+  const docs = [page('intro', 'Intro'), page('install', 'Install'), page('async-chunk', 'Async')];
+  const navigation = buildNavigation(docs, site(sidebar));
+
+  assert.deepEqual(summary(navigation.get('intro')), [null, 'install']);
+  assert.deepEqual(summary(navigation.get('install')), ['intro', 'async-chunk']);
+  assert.deepEqual(summary(navigation.get('async-chunk')), ['install', null]);
+
+  const install = navigation.get('install');
+  assert.equal(install.category, 'getting-started');
+  assert.deepEqual(install.groupPath, ['Getting Started']);
+  assert.equal(install.sidebarOrder, 1);
+  assert.deepEqual(install.next, { slug: 'async-chunk', title: 'Async', text: 'Async Chunks', url: '/async-chunk' });
+});
+
+test('frontmatter prev/next override, relabel or hide the neighbours', () => {
+  const docs = [
+    page('intro', 'Intro', { next: false }),
+    page('install', 'Install', { prev: 'Back to start', next: { text: 'Home', link: '/' } }),
+    page('async-chunk', 'Async', { prev: { text: 'Docs', link: 'https://example.com/docs' } }),
+    page('index', 'Home')
+  ];
+  const navigation = buildNavigation(docs, site(sidebar));
+
+  assert.equal(navigation.get('intro').next, null);
+  assert.deepEqual(navigation.get('install').prev, { slug: 'intro', title: 'Intro', text: 'Back to start', url: '/intro' });
+  assert.deepEqual(navigation.get('install').next, { slug: 'index', title: 'Home', text: 'Home', url: '/' });
+  assert.deepEqual(navigation.get('async-chunk').prev, {
+    slug: null,
+    title: 'Docs',
+    text: 'Docs',
+    url: 'https://example.com/docs'
+  });
+});
+
+test('pages outside the sidebar keep their category and have no neighbours', () => {
+  const navigation = buildNavigation([page('intro', 'Intro'), page('orphan', 'Orphan')], site(sidebar));
+
+  assert.deepEqual(navigation.get('orphan'), {
+    category: 'general',
+    groupPath: [],
+    sidebarOrder: null,
+    prev: null,
+    next: null
+  });
+});
+
+test('multi-sidebar configs never link across sidebars', () => {
+  const docs = [page('guide/a', 'A'), page('guide/b', 'B'), page('api/c', 'C')];
+  const navigation = buildNavigation(docs, site({
+    '/guide/': [{ text: 'Guide', items: [{ text: 'A', link: '/guide/a' }, { text: 'B', link: '/guide/b' }] }],
+    '/api/': [{ text: 'API', items: [{ text: 'C', link: '/api/c' }] }]
+  }));
+
+  assert.deepEqual(summary(navigation.get('guide/b')), ['guide/a', null]);
+  assert.deepEqual(summary(navigation.get('api/c')), [null, null]);
+});
+
+test('frontmatter category wins over the sidebar group', () => {
+  const navigation = buildNavigation([page('intro', 'Intro', { category: 'core' })], site(sidebar));
+
+  assert.equal(navigation.get('intro').category, 'core');
+  assert.equal(categoryName('Async State & React'), 'async-state-react');
+});
@@ -0,0 +1,67 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { generateLLMOptimizedAPI } from '../scripts/api.js';
+import { normalizeSiteConfig } from '../scripts/site.js';
+
+const root = fs.mkdtempSync(path.join(os.tmpdir(), 'stunk-openapi-'));
+const docsDir = path.join(root, 'docs');
+const publicDir = path.join(docsDir, 'public');
+const outputDir = path.join(publicDir, 'api');
+
+const site = normalizeSiteConfig({
+  themeConfig: { sidebar: [{ text: 'Core', items: [{ text: 'Chunk', link: '/chunk' }] }] }
+});
+
+let openApi;
+
+before(async () => {
+  fs.mkdirSync(docsDir, { recursive: true });
+  fs.writeFileSync(path.join(docsDir, 'index.md'), '---\nlayout: home\nhero:\n  name: Stunk\n---\n');
+  fs.writeFileSync(path.join(docsDir, 'chunk.md'), '---\ntitle: Chunk\n---\n# Chunk\n\nA chunk holds one value.\n');
+
+  await generateLLMOptimizedAPI(docsDir, outputDir, { site, cacheFile: null, quiet: true });
+  openApi = JSON.parse(fs.readFileSync(path.join(outputDir, 'openapi.json'), 'utf-8'));
+});
+
+after(() => fs.rmSync(root, { recursive: true, force: true }));
+
+const sizeOf = file => fs.statSync(file).size;
+
+test('describes every endpoint in routes.json under the base URL', () => {
+  const routes = JSON.parse(fs.readFileSync(path.join(outputDir, 'routes.json'), 'utf-8'));
+
+  assert.equal(openApi.openapi, '3.1.0');
+  assert.deepEqual(openApi.servers, [{ url: '/api' }]);
+  Object.values(routes.endpoints).forEach(endpoint => {
+    assert.ok(openApi.paths[endpoint.path.slice('/api'.length)], endpoint.path);
+  });
+});
+
+test('sizes are the byte sizes of the generated files', () => {
+  assert.equal(openApi.paths['/index.json'].get['x-size'], sizeOf(path.join(outputDir, 'index.json')));
+  assert.equal(openApi.paths['/llms.txt'].get['x-size'], sizeOf(path.join(publicDir, 'llms.txt')));
+  assert.equal(openApi.paths['/openapi.json'].get['x-size'], undefined);
+
+  const documents = openApi.paths['/{slug}.json'].get['x-sizes'];
+  assert.equal(documents.chunk, sizeOf(path.join(outputDir, 'chunk.json')));
+});
+
+test('the slug parameter enumerates doc slugs; renamed pages get their own path', () => {
+  const getDocument = openApi.paths['/{slug}.json'].get;
+
+  assert.deepEqual(getDocument.parameters[0].schema.enum, ['chunk']);
+  assert.deepEqual(Object.keys(getDocument['x-sizes']), ['chunk']);
+  assert.equal(openApi.paths['/index.page.json'].get.operationId, 'getDocumentIndexPage');
+  assert.equal(openApi.paths['/index.page.json'].get['x-size'], sizeOf(path.join(outputDir, 'index.page.json')));
+});
+
+test('responses reference component schemas that exist', () => {
+  const refs = JSON.stringify(openApi.paths).match(/#\/components\/schemas\/[\w]+/g);
+
+  assert.ok(refs.length > 0);
+  refs.forEach(ref => assert.ok(openApi.components.schemas[ref.split('/').pop()], ref));
+  assert.ok(!JSON.stringify(openApi.components).includes('#/$defs/'));
+});
@@ -0,0 +1,98 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { generateLLMOptimizedAPI } from '../scripts/api.js';
+import { schemasToTypeScript } from '../scripts/schema-types.js';
+import { buildSchemas, schemaFor, schemaUrl, validateOutputs } from '../scripts/schemas.js';
+import { normalizeSiteConfig } from '../scripts/site.js';
+
+const root = fs.mkdtempSync(path.join(os.tmpdir(), 'stunk-schemas-'));
+const docsDir = path.join(root, 'docs');
+const outputDir = path.join(docsDir, 'public', 'api');
+
+const site = normalizeSiteConfig({
+  title: 'Stunk',
+  themeConfig: { sidebar: [{ text: 'Core', items: [{ text: 'Chunk', link: '/chunk' }] }] }
+});
+
+const walk = dir => fs.readdirSync(dir, { withFileTypes: true })
+  .flatMap(entry => entry.isDirectory() ? walk(path.join(dir, entry.name)) : [path.join(dir, entry.name)]);
+
+before(async () => {
+  fs.mkdirSync(docsDir, { recursive: true });
+  fs.writeFileSync(path.join(docsDir, 'index.md'), '---\nlayout: home\nhero:\n  name: Stunk\n---\n');
+  fs.writeFileSync(path.join(docsDir, 'chunk.md'), [
+    '---',
+    'title: Chunk',
+    '---',
+    '# Chunk',
+    '',
+    'A chunk holds one value. See [the home page](/).',
+    '',
+    '## `chunk<T>(initialValue: T): Chunk<T>`',
+    '',
+    'Creates a chunk.',
+    '',
+    '```ts',
+    "import { chunk } from 'stunk';",
+    'const count = chunk(0);',
+    '```',
+    '',
+    '| Method | Returns |',
+    '| --- | --- |',
+    '| get | T |',
+    '',
+    '::: tip',
+    'Chunks are cheap.',
+    ':::'
+  ].join('\n'));
+
+  await generateLLMOptimizedAPI(docsDir, outputDir, { site, cacheFile: null, quiet: true });
+});
+
+after(() => fs.rmSync(root, { recursive: true, force: true }));
+
+test('every generated file validates against its schema', () => {
+  const files = walk(outputDir);
+
+  assert.ok(files.some(file => file.endsWith('chunk.json')));
+  assert.deepEqual(validateOutputs(outputDir, files), []);
+});
+
+test('files name their own schema', () => {
+  const index = JSON.parse(fs.readFileSync(path.join(outputDir, 'index.json'), 'utf-8'));
+  const doc = JSON.parse(fs.readFileSync(path.join(outputDir, 'chunk.json'), 'utf-8'));
+
+  assert.equal(index.$schema, schemaUrl(schemaFor('index.json')));
+  assert.equal(doc.$schema, schemaUrl(schemaFor('chunk.json')));
+  assert.notEqual(schemaFor('index.json'), schemaFor('chunk.json'));
+  assert.equal(schemaFor('schema/index.schema.json'), null);
+  assert.equal(schemaFor('search-query.js'), null);
+});
+
+test('violations name the file, line and path', () => {
+  const broken = path.join(outputDir, 'chunk.json');
+  const doc = JSON.parse(fs.readFileSync(broken, 'utf-8'));
+  fs.writeFileSync(broken, JSON.stringify({ ...doc, title: 42, unexpected: true }));
+
+  const chunks = path.join(outputDir, 'chunks.jsonl');
+  fs.writeFileSync(chunks, `${fs.readFileSync(chunks, 'utf-8')}not json\n`);
+
+  const messages = validateOutputs(outputDir, [broken, chunks]).map(({ file, line, message }) => `${file}:${line} ${message}`);
+
+  assert.ok(messages.includes('chunk.json:null /title must be string'), messages.join('\n'));
+  assert.ok(messages.includes('chunk.json:null / must NOT have additional properties "unexpected"'), messages.join('\n'));
+  assert.ok(messages.some(message => /^chunks\.jsonl:\d+ invalid JSON/.test(message)), messages.join('\n'));
+});
+
+test('schemas carry ids under the base URL and render as TypeScript', () => {
+  const schemas = buildSchemas('/docs-api');
+  const types = schemasToTypeScript(schemas);
+
+  Object.entries(schemas).forEach(([name, schema]) => {
+    assert.equal(schema.$id, `/docs-api/schema/${path.basename(schemaUrl(name))}`);
+    assert.match(types, new RegExp(`export (interface|type) ${schema.title}\\b`));
+  });
+});
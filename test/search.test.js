@@ -0,0 +1,122 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildSearchIndex } from '../scripts/search-index.js';
+import { search, stem, tokenize } from '../scripts/search-query.js';
+
+test('Porter stemmer matches the reference vocabulary', () => {
+  const cases = {
+    caresses: 'caress',
+    ponies: 'poni',
+    cats: 'cat',
+    feed: 'feed',
+    agreed: 'agre',
+    plastered: 'plaster',
+    motoring: 'motor',
+    hopping: 'hop',
+    filing: 'file',
+    happy: 'happi',
+    relational: 'relat',
+    conditional: 'condit',
+    generalization: 'gener',
+    hopeful: 'hope',
+    goodness: 'good',
+    electrical: 'electr',
+    adjustment: 'adjust',
+    probate: 'probat',
+    controll: 'control',
+    roll: 'roll',
+    subscribed: 'subscrib',
+    chunks: 'chunk'
+  };
+
+  Object.entries(cases).forEach(([word, expected]) => assert.equal(stem(word), expected, word));
+});
+
+test('stemmer leaves short words and words with digits alone', () => {
+  assert.equal(stem('is'), 'is');
+  assert.equal(stem('es2015'), 'es2015');
+});
+
+test('tokenize drops stop words and splits camelCase identifiers', () => {
+  assert.deepEqual(tokenize('The useChunk hook'), ['usechunk', 'us', 'chunk', 'hook']);
+  assert.deepEqual(tokenize('HTTPServer'), ['httpserver', 'http', 'server']);
+  assert.deepEqual(tokenize('a to be'), []);
+});
+
+const section = (id, heading, contentPlain, code = '') => ({
+  id,
+  heading,
+  contentPlain,
+  codeBlocks: code ? [{ code }] : []
+});
+
+const docs = [
+  {
+    slug: 'async',
+    title: 'Async Chunks',
+    summary: '',
+    keywords: ['async'],
+    category: 'guide',
+    contentType: 'guide',
+    sections: [
+      section('intro', 'Async Chunks', 'Load remote data into a chunk.'),
+      section('retry', 'Retrying', 'Failed requests retry with backoff.', 'asyncChunk(fetcher, { retryCount: 3 })')
+    ]
+  },
+  {
+    slug: 'computed',
+    title: 'Computed',
+    summary: '',
+    keywords: [],
+    category: 'guide',
+    contentType: 'guide',
+    sections: [
+      section('intro', 'Computed', 'Derive values. Computed chunks may depend on async chunks.')
+    ]
+  }
+];
+
+test('index stores per-field postings and lengths for every section', () => {
+  const index = buildSearchIndex(docs);
+
+  assert.deepEqual(index.sections, [[0, 'intro', 'Async Chunks'], [0, 'retry', 'Retrying'], [1, 'intro', 'Computed']]);
+  assert.equal(index.lengths.length, 3);
+  assert.deepEqual(index.terms.retri[1], [1, 1]);
+  assert.deepEqual(index.terms.retri[3], [1, 1]);
+  assert.deepEqual(index.terms.retrycount[4], [1, 1]);
+});
+
+test('BM25 ranks title and heading matches above body mentions', () => {
+  const index = buildSearchIndex(docs);
+  const result = search(index, 'async');
+
+  assert.deepEqual(result.docs.map(doc => doc.slug), ['async', 'computed']);
+  assert.equal(result.sections[0].slug, 'async');
+  assert.equal(result.sections[0].id, 'intro');
+  assert.ok(result.sections.every((hit, i, all) => i === 0 || all[i - 1].score >= hit.score));
+});
+
+test('hits in the intro link to the page, headed sections to their anchor', () => {
+  const index = buildSearchIndex([{
+    ...docs[1],
+    sections: [section('intro', '', 'Derive values first.'), section('derive', 'Derive', 'Derive values again.')]
+  }]);
+
+  assert.deepEqual(search(index, 'derive').sections.map(hit => hit.url).sort(), ['/computed', '/computed#derive']);
+});
+
+test('search matches stems, fields and prefixes', () => {
+  const index = buildSearchIndex(docs);
+
+  assert.deepEqual(search(index, 'retries').sections.map(hit => [hit.slug, hit.id]), [['async', 'retry']]);
+  assert.deepEqual(search(index, 'computed', { fields: ['body'] }).docs.map(doc => doc.slug), ['computed']);
+  assert.deepEqual(search(index, 'deriv', { prefix: true }).docs.map(doc => doc.slug), ['computed']);
+  assert.deepEqual(search(index, 'unrelated').docs, []);
+});
+
+test('limit caps docs and sections', () => {
+  const result = search(buildSearchIndex(docs), 'chunk', { limit: 1 });
+
+  assert.equal(result.docs.length, 1);
+  assert.equal(result.sections.length, 1);
+});
@@ -0,0 +1,125 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createApiServer, loadApiData } from '../scripts/serve-api.js';
+import { buildSearchIndex } from '../scripts/search-index.js';
+
+const outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'stunk-serve-'));
+
+const docs = [
+  {
+    slug: 'chunk',
+    title: 'Chunk',
+    summary: 'Core state.',
+    keywords: ['state'],
+    category: 'core',
+    complexity: 'beginner',
+    contentType: 'api-reference',
+    sections: [
+      { id: 'chunk', heading: 'Chunk', contentPlain: 'A chunk holds state.', codeBlocks: [] },
+      { id: 'set-values', heading: 'Set values', contentPlain: 'Call set to update.', codeBlocks: [] }
+    ],
+    codeExamples: [{ language: 'ts', purpose: 'example', code: 'chunk(0)' }]
+  },
+  {
+    slug: 'batch',
+    title: 'Batch',
+    summary: 'Group updates.',
+    keywords: [],
+    category: 'utils',
+    complexity: 'intermediate',
+    contentType: 'documentation',
+    sections: [{ id: 'batch', heading: 'Batch', contentPlain: 'Group many updates of state.', codeBlocks: [] }],
+    codeExamples: [{ language: 'js', purpose: 'example', code: 'batch(() => {})' }]
+  }
+];
+
+let server;
+let baseUrl;
+
+before(async () => {
+  const write = (file, value) => fs.writeFileSync(path.join(outputDir, file), JSON.stringify(value));
+  write('index.json', { docs: docs.map(({ slug, title, category, complexity, contentType }) => ({ slug, title, category, complexity, contentType })) });
+  write('search.json', buildSearchIndex(docs));
+  docs.forEach(doc => write(`${doc.slug}.json`, doc));
+
+  server = createApiServer(loadApiData(outputDir));
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  await new Promise(resolve => server.close(resolve));
+  fs.rmSync(outputDir, { recursive: true, force: true });
+});
+
+const get = async route => {
+  const response = await fetch(`${baseUrl}${route}`);
+  return { status: response.status, body: await response.json() };
+};
+
+test('search ranks documents and sections', async () => {
+  const docsResult = await get('/api/search?q=state');
+  assert.equal(docsResult.status, 200);
+  assert.deepEqual(docsResult.body.results.map(doc => doc.slug), ['chunk', 'batch']);
+
+  const sections = await get('/api/search?q=update&type=sections&fields=id');
+  assert.deepEqual(sections.body.results, [{ id: 'set-values' }, { id: 'batch' }]);
+});
+
+test('lists filter and paginate', async () => {
+  const { body } = await get('/api/docs?category=utils');
+  assert.deepEqual(body.results.map(doc => doc.slug), ['batch']);
+
+  const paged = await get('/api/code?pageSize=1&page=2&fields=slug,language');
+  assert.deepEqual(paged.body, { filters: {}, total: 2, page: 2, pageSize: 1, pages: 2, results: [{ slug: 'batch', language: 'js' }] });
+});
+
+test('docs and sections by slug and id', async () => {
+  assert.equal((await get('/api/docs/chunk?fields=title')).body.title, 'Chunk');
+  assert.equal((await get('/api/docs/chunk/sections')).body.total, 2);
+  assert.deepEqual((await get('/api/docs/chunk/sections/set-values?fields=heading')).body, { heading: 'Set values' });
+});
+
+test('bad requests and unknown routes get JSON errors', async () => {
+  assert.equal((await get('/api/search')).status, 400);
+  assert.equal((await get('/api/docs?page=0')).status, 400);
+  assert.equal((await get('/api/docs/missing')).status, 404);
+  assert.equal((await get('/api/docs/chunk/sections/missing')).status, 404);
+  assert.equal((await get('/api/../../etc/passwd')).status, 404);
+  assert.equal((await get('/api/docs/chunk/sections/%E0%A4%A')).status, 400);
+  assert.equal((await get('/api/%zz.json')).status, 400);
+
+  const { status, body } = await get('/nowhere');
+  assert.deepEqual({ status, body }, { status: 404, body: { error: { status: 404, message: 'No route for /nowhere' } } });
+});
+
+test('generated files are served as is', async () => {
+  const response = await fetch(`${baseUrl}/api/index.json`);
+
+  assert.equal(response.headers.get('content-type'), 'application/json; charset=utf-8');
+  assert.equal((await response.json()).docs.length, 2);
+});
+
+test('routes whose output was not generated answer 501', async () => {
+  const partialDir = fs.mkdtempSync(path.join(os.tmpdir(), 'stunk-serve-partial-'));
+  const write = (file, value) => fs.writeFileSync(path.join(partialDir, file), JSON.stringify(value));
+  write('index.json', { docs: [{ slug: 'chunk', title: 'Chunk' }] });
+  write('chunk.json', { slug: 'chunk', title: 'Chunk' });
+
+  const partial = createApiServer(loadApiData(partialDir));
+  await new Promise(resolve => partial.listen(0, '127.0.0.1', resolve));
+  const partialUrl = `http://127.0.0.1:${partial.address().port}`;
+
+  try {
+    const statuses = await Promise.all(['/api/search?q=chunk', '/api/code', '/api/docs/chunk/sections', '/api/docs/chunk/sections/chunk', '/api/docs/chunk']
+      .map(async route => (await fetch(`${partialUrl}${route}`)).status));
+
+    assert.deepEqual(statuses, [501, 501, 501, 501, 200]);
+  } finally {
+    await new Promise(resolve => partial.close(resolve));
+    fs.rmSync(partialDir, { recursive: true, force: true });
+  }
+});
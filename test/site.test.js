@@ -0,0 +1,70 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { flattenNav, flattenSidebar, linkToSlug, normalizeSiteConfig, pagePath, resolveLink } from '../scripts/site.js';
+
+test('flattenSidebar keeps reading order, group paths and bases', () => {
+  const entries = flattenSidebar([
+    { text: 'Intro', link: '/intro' },
+    {
+      text: 'Core',
+      base: '/core/',
+      items: [
+        { text: 'Chunk', link: 'chunk' },
+        { text: 'Advanced', items: [{ text: 'Batch', link: '/batch' }] }
+      ]
+    }
+  ]);
+
+  assert.deepEqual(entries.map(({ link, groups, root, order }) => [link, groups, root, order]), [
+    ['/intro', [], '/', 0],
+    ['/core/chunk', ['Core'], '/', 1],
+    ['/core/batch', ['Core', 'Advanced'], '/', 2]
+  ]);
+});
+
+test('flattenSidebar tags entries of a multi-sidebar config with their root', () => {
+  const entries = flattenSidebar({
+    '/guide/': [{ text: 'A', link: '/guide/a' }],
+    '/api/': { base: '/api/', items: [{ text: 'B', link: 'b' }] }
+  });
+
+  assert.deepEqual(entries.map(({ link, root }) => [link, root]), [['/guide/a', '/guide/'], ['/api/b', '/api/']]);
+});
+
+test('flattenNav descends into dropdowns', () => {
+  assert.deepEqual(flattenNav([
+    { text: 'Guide', link: '/guide' },
+    { text: 'More', items: [{ text: 'GitHub', link: 'https://github.com' }, { text: 'Label' }] }
+  ]), [{ text: 'Guide', link: '/guide' }, { text: 'GitHub', link: 'https://github.com' }]);
+});
+
+test('normalizeSiteConfig reads the canonical URL from head', () => {
+  const site = normalizeSiteConfig({
+    title: 'Stunk',
+    head: [['link', { rel: 'canonical', href: 'https://stunk.dev/' }]]
+  });
+
+  assert.deepEqual(site, { title: 'Stunk', description: '', siteUrl: 'https://stunk.dev', nav: [], sidebar: [] });
+});
+
+test('linkToSlug and pagePath map between links and slugs', () => {
+  assert.equal(linkToSlug('/chunk'), 'chunk');
+  assert.equal(linkToSlug('/chunk.html#usage'), 'chunk');
+  assert.equal(linkToSlug('/guide/intro.md?x=1'), 'guide/intro');
+  assert.equal(linkToSlug('/'), 'index');
+  assert.equal(linkToSlug('/guide/'), 'guide/index');
+  assert.equal(linkToSlug('https://example.com/chunk'), null);
+
+  assert.equal(pagePath('index'), '/');
+  assert.equal(pagePath('guide/index'), '/guide/');
+  assert.equal(pagePath('chunk'), '/chunk');
+});
+
+test('resolveLink resolves relative links against the page', () => {
+  assert.deepEqual(resolveLink('./chunk#x', 'guide/intro'), { pathname: '/guide/chunk', hash: 'x' });
+  assert.deepEqual(resolveLink('../api', 'guide/intro'), { pathname: '/api', hash: '' });
+  assert.deepEqual(resolveLink('#usage', 'guide/index'), { pathname: '/guide/', hash: 'usage' });
+  assert.deepEqual(resolveLink('/chunk?tab=1', 'intro'), { pathname: '/chunk', hash: '' });
+  assert.equal(resolveLink('mailto:hi@example.com', 'intro'), null);
+  assert.equal(resolveLink('//cdn.example.com/x', 'intro'), null);
+});
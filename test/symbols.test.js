@@ -0,0 +1,118 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildSymbolTable, parseDeclarations, parseSignature } from '../scripts/symbols.js';
+
+test('parseSignature reads type params, parameters and return type', () => {
+  assert.deepEqual(parseSignature('chunk<T, S extends object = T>(initialValue: T, options?: ChunkOptions): Chunk<T>'), {
+    name: 'chunk',
+    typeParams: [
+      { name: 'T', constraint: null, default: null },
+      { name: 'S', constraint: 'object', default: 'T' }
+    ],
+    parameters: [
+      { name: 'initialValue', type: 'T', optional: false, rest: false, default: null },
+      { name: 'options', type: 'ChunkOptions', optional: true, rest: false, default: null }
+    ],
+    returns: 'Chunk<T>'
+  });
+});
+
+test('parseSignature keeps nested brackets, arrows and defaults in one parameter', () => {
+  const { parameters, returns } = parseSignature('select(source: Chunk<T>, selector: (value: T) => S, equal = (a: S, b: S) => a === b, ...rest: unknown[])');
+
+  assert.deepEqual(parameters.map(({ name, type, optional, rest, default: fallback }) => [name, type, optional, rest, fallback]), [
+    ['source', 'Chunk<T>', false, false, null],
+    ['selector', '(value: T) => S', false, false, null],
+    ['equal', null, true, false, '(a: S, b: S) => a === b'],
+    ['rest', 'unknown[]', false, true, null]
+  ]);
+  assert.equal(returns, null);
+});
+
+test('parseSignature accepts a bare generic name and rejects prose', () => {
+  assert.deepEqual(parseSignature('Middleware<T>'), {
+    name: 'Middleware',
+    typeParams: [{ name: 'T', constraint: null, default: null }],
+    parameters: null,
+    returns: null
+  });
+  assert.equal(parseSignature('chunk'), null);
+  assert.equal(parseSignature('chunk(value: T'), null);
+  assert.equal(parseSignature('npm install stunk'), null);
+});
+
+test('parseDeclarations reads interfaces and type aliases', () => {
+  const [options, middleware] = parseDeclarations([
+    'interface ChunkOptions<T> extends Base {',
+    '  name?: string;',
+    '  validate?(value: T): boolean;',
+    '}',
+    '',
+    'type Middleware<T> = (value: T, next: (value: T) => void) => void;'
+  ].join('\n'));
+
+  assert.equal(options.name, 'ChunkOptions');
+  assert.equal(options.kind, 'interface');
+  assert.deepEqual(options.extends, ['Base']);
+  assert.deepEqual(options.members.map(({ name, kind, optional }) => [name, kind, optional]), [
+    ['name', 'property', true],
+    ['validate', 'method', true]
+  ]);
+
+  assert.equal(middleware.kind, 'type');
+  assert.equal(middleware.definition, '(value: T, next: (value: T) => void) => void');
+});
+
+test('parseDeclarations ignores blocks that also run code', () => {
+  assert.deepEqual(parseDeclarations('type Count = number;\nconst count = chunk(0);'), []);
+});
+
+test('symbol table resolves entrypoints from imports and owning functions', () => {
+  const fence = code => `\`\`\`ts\n${code}\n\`\`\``;
+  const asyncChunkType = 'interface AsyncChunk<T> {\n  reload(): Promise<void>;\n}';
+  const importLine = "import { asyncChunk } from 'stunk/query';";
+
+  const sections = [
+    ['api', 1, '# API'],
+    ['asyncchunk', 2, `## \`asyncChunk<T>(fetcher: () => Promise<T>): AsyncChunk<T>\`\n\nLoads data.\n\n${fence(asyncChunkType)}`, 'Loads data.', asyncChunkType],
+    ['usechunk', 2, `## \`useChunk<T>(chunk: Chunk<T>): [T, (value: T) => void]\`\n\nBinds a chunk.\n\n${fence(importLine)}`, 'Binds a chunk.', importLine],
+    ['usechunk-1', 2, '## `useChunk<T, S>(chunk: Chunk<T>, selector: (value: T) => S): [S, (value: T) => void]`\n\nBinds a slice.', 'Binds a slice.']
+  ];
+
+  let lineNumber = 1;
+  const doc = {
+    slug: 'api',
+    title: 'API',
+    fullContent: sections.map(([, , content]) => content).join('\n\n'),
+    codeExamples: sections.filter(([, , , , code]) => code).map(([, , , , code]) => ({ language: 'ts', code })),
+    sections: sections.map(([id, level, content, contentPlain = '', code]) => {
+      const section = {
+        id,
+        level,
+        heading: id,
+        url: `/api#${id}`,
+        lineNumber,
+        content,
+        contentPlain,
+        codeBlocks: code ? [{ language: 'ts', code }] : []
+      };
+      lineNumber += content.split('\n').length + 1;
+      return section;
+    })
+  };
+
+  const table = buildSymbolTable([doc]);
+
+  assert.deepEqual(table.map(({ name, kind, entrypoint }) => [name, kind, entrypoint]), [
+    ['asyncChunk', 'function', 'stunk/query'],
+    ['AsyncChunk', 'interface', 'stunk/query'],
+    ['useChunk', 'hook', 'stunk/react']
+  ]);
+  assert.equal(table[0].description, 'Loads data.');
+  assert.deepEqual(table[1].members.map(member => member.name), ['reload']);
+  assert.deepEqual(table[0].overloads, []);
+  assert.deepEqual(table[2].overloads.map(({ signature, description, definedIn }) => [signature, description, definedIn.sectionId]), [
+    ['useChunk<T, S>(chunk: Chunk<T>, selector: (value: T) => S): [S, (value: T) => void]', 'Binds a slice.', 'usechunk-1']
+  ]);
+  assert.deepEqual(table[0].mentions, [{ slug: 'api', title: 'API', url: '/api', sections: ['/api#asyncchunk', '/api#usechunk'] }]);
+});
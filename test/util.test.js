@@ -0,0 +1,8 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { compareStrings } from '../scripts/util.js';
+
+test('compareStrings orders by code unit, independent of locale', () => {
+  assert.deepEqual(['b', 'B', 'a', 'é', 'A', 'e'].sort(compareStrings), ['A', 'B', 'a', 'b', 'e', 'é']);
+  assert.equal(compareStrings('x', 'x'), 0);
+});
@@ -0,0 +1,62 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { llmApi } from '../scripts/vitepress.js';
+
+const root = fs.mkdtempSync(path.join(os.tmpdir(), 'stunk-vitepress-'));
+after(() => fs.rmSync(root, { recursive: true, force: true }));
+
+const srcDir = path.join(root, 'docs');
+const outDir = path.join(srcDir, '.vitepress', 'dist');
+
+const siteConfig = {
+  srcDir,
+  outDir,
+  cacheDir: path.join(srcDir, '.vitepress', 'cache'),
+  site: { base: '/' },
+  markdown: {},
+  logger: console,
+  pages: ['guide.md'],
+  rewrites: { map: {} },
+  userConfig: { title: 'Stunk', themeConfig: { sidebar: [{ text: 'Guide', items: [{ text: 'Guide', link: '/guide' }] }] } }
+};
+
+test('buildEnd owns outDir/api and takes heading ids from the VitePress renderer', async () => {
+  fs.mkdirSync(path.join(outDir, 'api'), { recursive: true });
+  fs.writeFileSync(path.join(srcDir, 'guide.md'), '---\ntitle: Guide\n---\n# Guide\n\n::: details More\n## Hidden `deep` heading\n:::\n');
+  // Left over in public/api from an earlier CLI run, copied by `vitepress build`
+  fs.writeFileSync(path.join(outDir, 'api', 'old-page.json'), '{}');
+
+  const api = llmApi({ quiet: true });
+  api.transformPageData({ filePath: 'guide.md', title: 'Guide', description: '' });
+  await api.buildEnd(siteConfig);
+
+  const doc = JSON.parse(fs.readFileSync(path.join(outDir, 'api', 'guide.json'), 'utf-8'));
+
+  assert.equal(fs.existsSync(path.join(outDir, 'api', 'old-page.json')), false);
+  assert.deepEqual(doc.sections.map(section => section.url), ['/guide#guide', '/guide#hidden-deep-heading']);
+});
+
+test('apiDir must stay inside outDir', async () => {
+  await assert.rejects(llmApi({ apiDir: '.', quiet: true }).buildEnd(siteConfig), /must be a subdirectory/);
+  assert.ok(fs.existsSync(path.join(outDir, 'api', 'guide.json')));
+});
+
+test('excludeOrphans comes from the config file when llmApi leaves it out', async () => {
+  fs.writeFileSync(path.join(srcDir, 'scratch.md'), '---\ntitle: Scratch\n---\n# Scratch\n');
+  fs.writeFileSync(path.join(root, 'stunk-docs.config.json'), JSON.stringify({ excludeOrphans: true }));
+
+  try {
+    await llmApi({ quiet: true }).buildEnd({ ...siteConfig, pages: ['guide.md', 'scratch.md'] });
+
+    const index = JSON.parse(fs.readFileSync(path.join(outDir, 'api', 'index.json'), 'utf-8'));
+    const coverage = JSON.parse(fs.readFileSync(path.join(outDir, 'api', 'coverage.json'), 'utf-8'));
+
+    assert.deepEqual(index.docs.map(doc => doc.slug), ['guide']);
+    assert.deepEqual(coverage.orphans.map(orphan => orphan.slug), ['scratch']);
+  } finally {
+    fs.rmSync(path.join(root, 'stunk-docs.config.json'));
+  }
+});
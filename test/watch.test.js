@@ -0,0 +1,93 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { DEFAULT_CONFIG, resolveConfig } from '../scripts/config.js';
+import { isWatchedFile, watchDocs, watchTree } from '../scripts/watch.js';
+
+test('pages count when they pass the include/exclude globs', () => {
+  assert.equal(isWatchedFile('chunk.md', DEFAULT_CONFIG), true);
+  assert.equal(isWatchedFile('guide/intro.md', DEFAULT_CONFIG), true);
+  assert.equal(isWatchedFile('public/notes.md', DEFAULT_CONFIG), false);
+  assert.equal(isWatchedFile('node_modules/pkg/README.md', DEFAULT_CONFIG), false);
+  assert.equal(isWatchedFile('logo.svg', DEFAULT_CONFIG), false);
+
+  const config = resolveConfig({ include: ['guide/**'], exclude: ['guide/drafts/**'] });
+  assert.equal(isWatchedFile('guide/intro.md', config), true);
+  assert.equal(isWatchedFile('guide/drafts/next.md', config), false);
+  assert.equal(isWatchedFile('chunk.md', config), false);
+});
+
+test('the VitePress config and unnamed events count', () => {
+  const config = resolveConfig({ include: ['guide/**'] });
+
+  assert.equal(isWatchedFile('.vitepress/config.mts', config), true);
+  assert.equal(isWatchedFile('.vitepress/cache/deps/vue.js', config), false);
+  assert.equal(isWatchedFile(null, config), true);
+});
+
+const root = fs.mkdtempSync(path.join(os.tmpdir(), 'stunk-watch-'));
+after(() => fs.rmSync(root, { recursive: true, force: true }));
+
+// fs.watch events arrive asynchronously
+async function waitFor(predicate, timeout = 5000) {
+  const start = Date.now();
+  while (!predicate()) {
+    if (Date.now() - start > timeout) throw new Error('timed out waiting for a watch event');
+    await new Promise(resolve => setTimeout(resolve, 25));
+  }
+}
+
+test('watchTree without recursive fs.watch reports nested, new and unpruned files', async () => {
+  const dir = path.join(root, 'tree');
+  fs.mkdirSync(path.join(dir, 'guide'), { recursive: true });
+  fs.mkdirSync(path.join(dir, 'public'));
+
+  const changes = new Set();
+  const close = watchTree(dir, file => changes.add(file), { recursive: false, skipDir: file => file === 'public' });
+
+  try {
+    fs.writeFileSync(path.join(dir, 'guide', 'intro.md'), '# Intro\n');
+    await waitFor(() => changes.has(path.join('guide', 'intro.md')));
+
+    fs.mkdirSync(path.join(dir, 'guide', 'deep'));
+    fs.writeFileSync(path.join(dir, 'guide', 'deep', 'page.md'), '# Page\n');
+    await waitFor(() => changes.has(path.join('guide', 'deep', 'page.md')));
+
+    fs.writeFileSync(path.join(dir, 'public', 'notes.md'), '# Notes\n');
+    fs.writeFileSync(path.join(dir, 'top.md'), '# Top\n');
+    await waitFor(() => changes.has('top.md'));
+    assert.equal(changes.has(path.join('public', 'notes.md')), false);
+  } finally {
+    close();
+  }
+});
+
+test('watchDocs regenerates on page edits and reloads the config file', async () => {
+  const project = path.join(root, 'project');
+  const docsDir = path.join(project, 'docs');
+  const outputDir = path.join(docsDir, 'public', 'api');
+  const readDoc = slug => JSON.parse(fs.readFileSync(path.join(outputDir, `${slug}.json`), 'utf-8'));
+
+  fs.mkdirSync(docsDir, { recursive: true });
+  fs.writeFileSync(path.join(docsDir, 'chunk.md'), '---\ntitle: Chunk\n---\n# Chunk\n\nA chunk.\n');
+  fs.writeFileSync(path.join(docsDir, 'batch.md'), '---\ntitle: Batch\n---\n# Batch\n\nBatching.\n');
+
+  const log = console.log;
+  console.log = () => {};
+  const close = await watchDocs(docsDir, outputDir, { cacheFile: null });
+
+  try {
+    assert.equal(readDoc('chunk').title, 'Chunk');
+
+    fs.writeFileSync(path.join(docsDir, 'chunk.md'), '---\ntitle: Chunks\n---\n# Chunks\n\nA chunk.\n');
+    await waitFor(() => readDoc('chunk').title === 'Chunks');
+
+    fs.writeFileSync(path.join(project, 'stunk-docs.config.json'), JSON.stringify({ exclude: ['batch.md'] }));
+    await waitFor(() => !readDoc('index').docs.some(doc => doc.slug === 'batch'));
+  } finally {
+    close();
+    console.log = log;
+  }
+});
@@ -0,0 +1,60 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildCrossReference } from '../scripts/xref.js';
+
+const section = (id, content, contentPlain, codeBlocks = []) => ({
+  id,
+  heading: id,
+  url: `/guide#${id}`,
+  content,
+  contentPlain,
+  codeBlocks
+});
+
+const example = "import { chunk, batch } from 'stunk';\nconst count = chunk(0);";
+
+const docs = [{
+  slug: 'guide',
+  title: 'Guide',
+  codeExamples: [{ language: 'ts', lineNumber: 5, code: example }],
+  sections: [
+    section('setup', '```ts\n' + example + '\n```', '', [{ code: example }]),
+    section('updates', 'Call `batch` to group updates, or use asyncChunk for data.', 'Call batch to group updates, or use asyncChunk for data.'),
+    section('prose', 'A batch of chunks, once.', 'A batch of chunks, once.')
+  ]
+}];
+
+const symbolTable = [
+  { name: 'chunk', entrypoint: 'stunk' },
+  { name: 'asyncChunk', entrypoint: 'stunk' },
+  { name: 'useChunk', entrypoint: 'stunk/react' }
+];
+
+test('exports come from the symbol table plus example imports, sorted by name', () => {
+  const { symbols } = buildCrossReference(docs, symbolTable);
+
+  assert.deepEqual(Object.keys(symbols), ['asyncChunk', 'batch', 'chunk', 'useChunk']);
+  assert.equal(symbols.batch.entrypoint, 'stunk');
+  assert.deepEqual(symbols.useChunk.pages, []);
+});
+
+test('code and inline code always count, bare prose only for camelCase names', () => {
+  const { symbols } = buildCrossReference(docs, symbolTable);
+
+  const sections = name => symbols[name].pages[0].sections.map(({ id, in: found }) => [id, found]);
+  assert.deepEqual(sections('batch'), [['setup', ['code']], ['updates', ['prose']]]);
+  assert.deepEqual(sections('asyncChunk'), [['updates', ['prose']]]);
+  assert.deepEqual(sections('chunk'), [['setup', ['code']]]);
+});
+
+test('pages list the code examples using each export and their apisUsed', () => {
+  const { symbols, apisUsed } = buildCrossReference(docs, symbolTable);
+
+  assert.deepEqual(symbols.chunk.pages[0].codeExamples, [{ index: 0, language: 'ts', lineNumber: 5 }]);
+  assert.deepEqual(symbols.asyncChunk.pages[0].codeExamples, []);
+  assert.deepEqual(apisUsed.get('guide'), [
+    { name: 'asyncChunk', entrypoint: 'stunk' },
+    { name: 'batch', entrypoint: 'stunk' },
+    { name: 'chunk', entrypoint: 'stunk' }
+  ]);
+});